@@ -0,0 +1,108 @@
+/**
+ * Replays a synthetic city-scale history with the link grid and with a scan over all links, and compares the times.
+ * Decay is enabled, like in a replay of a real history with historyDecay configured.
+ *
+ * node bench/simulator.js [--portals 10000] [--actions 30000] [--seed 1]
+ */
+const { parseArgs } = require('node:util');
+const IngressStateSimulator = require('../lib/ingressSimulator.js');
+
+const { values } = parseArgs({
+    options: {
+        portals: { type: 'string', default: '10000' },
+        actions: { type: 'string', default: '30000' },
+        seed: { type: 'string', default: '1' },
+    },
+});
+const portalCount = parseInt(values.portals, 10);
+const actionCount = parseInt(values.actions, 10);
+
+// Small seeded PRNG (mulberry32), every run replays the same history
+let seed = parseInt(values.seed, 10) >>> 0;
+const random = () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const pick = (list) => list[Math.floor(random() * list.length)];
+
+/**
+ * Portals spread over about 20 x 25 km, links mostly go to portals up to a km away like in a real city.
+ */
+const createHistory = () => {
+    const portals = Array.from({ length: portalCount }, (_, i) => ({
+        id: `portal-${i}`,
+        lat: 52.4 + random() * 0.2,
+        lng: 13.2 + random() * 0.4,
+    }));
+
+    const BUCKET = 0.005;
+    const buckets = new Map();
+    const bucketOf = (lat, lng) => `${Math.floor(lat / BUCKET)}:${Math.floor(lng / BUCKET)}`;
+    portals.forEach(p => {
+        const key = bucketOf(p.lat, p.lng);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(p);
+    });
+    const nearby = (p) => {
+        const lat = p.lat + (random() - 0.5) * BUCKET * 3;
+        const lng = p.lng + (random() - 0.5) * BUCKET * 3;
+        return buckets.get(bucketOf(lat, lng)) || [p];
+    };
+
+    const actions = [];
+    for (let i = 0; i < actionCount; i++) {
+        // One action a minute, so the history spans weeks and portals decay
+        const timestamp = 1700000000000 + i * 60000;
+        const p1 = pick(portals);
+        // Each half of the city mostly belongs to one faction, so links of a team can build fields
+        const team = (p1.lng < 13.4) === (random() < 0.9) ? 'ENL' : 'RES';
+        const roll = random();
+
+        if (roll < 0.9) {
+            const p2 = pick(nearby(p1));
+            if (p2.id === p1.id) continue;
+            actions.push({ id: `a${i}`, timestamp, type: 'link', action: 'link', team, portal_id: p1.id, target_portal_id: p2.id });
+        } else if (roll < 0.98) {
+            actions.push({ id: `a${i}`, timestamp, type: 'reso', action: 'destroy', team, portal_id: p1.id, target_portal_id: null });
+        } else {
+            actions.push({ id: `a${i}`, timestamp, type: 'portal', action: 'destroy', team, portal_id: p1.id, target_portal_id: null });
+        }
+    }
+    return { portals, actions };
+};
+
+const replay = (portals, actions, spatialIndex) => {
+    const simulator = new IngressStateSimulator(portals, { decay: { enabled: true }, spatialIndex });
+    simulator.indexActions(actions);
+
+    let maxLinks = 0;
+    const start = process.hrtime.bigint();
+    actions.forEach(action => {
+        simulator.processAction(action);
+        maxLinks = Math.max(maxLinks, simulator.links.size);
+    });
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    return { ms, maxLinks, simulator };
+};
+
+const { portals, actions } = createHistory();
+console.log(`${portals.length} portals, ${actions.length} actions (${actions.filter(a => a.type === 'link').length} links)`);
+
+const linear = replay(portals, actions, false);
+console.log(`Scan over all links: ${linear.ms.toFixed(0)} ms, up to ${linear.maxLinks} links at once`);
+
+const grid = replay(portals, actions, {});
+console.log(`Link grid:           ${grid.ms.toFixed(0)} ms`);
+
+const stateKey = (simulator) => {
+    const state = simulator.getCurrentState();
+    return JSON.stringify([state.links.map(l => `${l.p1}|${l.p2}|${l.team}`).sort(), state.fields.length]);
+};
+if (stateKey(linear.simulator) !== stateKey(grid.simulator)) {
+    console.error("The final states differ, the grid missed a crossing.");
+    process.exit(1);
+}
+console.log(`Same final state (${grid.simulator.links.size} links, ${grid.simulator.fields.length} fields), ${(linear.ms / grid.ms).toFixed(1)}x faster.`);
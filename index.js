@@ -1,16 +1,24 @@
 require('dotenv').config({ quiet: true });
 const ProjectManager = require('./lib/projectManager.js');
-const { IngressIceReplica } = require('./lib/ice.js');
+const { IngressIceReplica, LoginRequiredError } = require('./lib/ice.js');
 const VideoGenerator = require('./lib/ffmpeg.js');
+const { EXIT_CODES, UsageError, helpText, parseCommandLine } = require('./lib/cli.js');
 
 const screenshotDir = process.env.SCREENSHOT_DIR || './screenshots';
 
 const pm = new ProjectManager(process.cwd());
-const ffmpeg = new VideoGenerator(parseInt(process.env.TARGET_FPS) || 30, pm.projectDir, screenshotDir);
+const targetFps = parseInt(process.env.TARGET_FPS) || 30;
 
 (async () => {
     if (process.env.DEBUG == 'true') console.log("Running in DEBUG mode.");
-    const { config, command } = await pm.getConfiguration();
+    const cliOptions = parseCommandLine('live');
+    if (cliOptions && cliOptions.help) {
+        console.log(helpText);
+        return EXIT_CODES.OK;
+    }
+    const interactive = cliOptions === null;
+    const { config, command } = await pm.getConfiguration(cliOptions);
+    let exitCode = EXIT_CODES.OK;
 
     if (command !== 'skip') {
         const iceBot = new IngressIceReplica(
@@ -19,21 +27,71 @@ const ffmpeg = new VideoGenerator(parseInt(process.env.TARGET_FPS) || 30, pm.pro
             config.screenshotInterval,
             config.numberOfScreenshots,
             config.screenshotWidth,
-            config.screenshotHeight
+            config.screenshotHeight,
+            {
+                interactive,
+                targets: config.targets,
+                targetMode: config.targetMode,
+                missedFramePolicy: config.missedFramePolicy,
+                recovery: config.recovery,
+                readiness: config.readiness,
+                cleanupProfile: config.cleanupProfile,
+                cleanupProfiles: config.cleanupProfiles,
+                projectDir: pm.projectDir,
+                overlay: config.overlay,
+                intelFilters: config.intelFilters,
+                duplicates: config.duplicates,
+                commRecording: config.commRecording,
+                fetch: config.historyFetch,
+            }
         );
 
-        pm.listenForStopCommand(() => {
-            iceBot.stop();
-        });
+        if (interactive) {
+            pm.listenForStopCommand(() => {
+                iceBot.stop();
+            });
+        } else {
+            // Services (systemd, cron) stop us with signals instead of stdin
+            process.once('SIGTERM', () => iceBot.stop());
+            process.once('SIGINT', () => iceBot.stop());
+        }
 
-        await iceBot.run();
+        const success = await iceBot.run();
+        if (!success && iceBot.lastError instanceof LoginRequiredError) {
+            // Rendering the frames captured so far is still useful
+            exitCode = EXIT_CODES.LOGIN_REQUIRED;
+        } else if (!success) {
+            exitCode = EXIT_CODES.FAILURE;
+        }
     }
 
-    const ffmpegAvailable = await ffmpeg.checkFFmpeg();
-    if (!ffmpegAvailable) {
-        console.error("FFmpeg is not available. Skipping video generation.");
-        process.exit(1);
+    if (!interactive && config.video.mode === 'none') return exitCode;
+
+    // One video per target, a single target renders to the usual output file
+    const targets = IngressIceReplica.resolveTargets(config.intelUrl, screenshotDir, config.screenshotWidth, config.screenshotHeight, config.targets);
+    for (const target of targets) {
+        const outputName = target.name ? `output_timelapse_${target.name}.mp4` : undefined;
+        const ffmpeg = new VideoGenerator(targetFps, pm.projectDir, target.screenshotPath, outputName);
+
+        const ffmpegAvailable = await ffmpeg.checkFFmpeg();
+        if (!ffmpegAvailable) {
+            console.error("FFmpeg is not available. Skipping video generation.");
+            return EXIT_CODES.FAILURE;
+        }
+
+        if (target.name) console.log(`\n=== Target: ${target.name} ===`);
+        const rendered = await ffmpeg.generateVideo(config.screenshotInterval, interactive ? null : config.video);
+        if (!rendered) exitCode = EXIT_CODES.FAILURE;
     }
 
-    await ffmpeg.generateVideo(config.screenshotInterval);
-})();
+    return exitCode;
+})().then((exitCode) => {
+    process.exit(exitCode);
+}).catch((error) => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\nUse --help to see all options.`);
+        process.exit(EXIT_CODES.USAGE);
+    }
+    console.error(error);
+    process.exit(EXIT_CODES.FAILURE);
+});
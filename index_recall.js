@@ -1,52 +1,209 @@
 require('dotenv').config({ quiet: true });
+const fs = require('node:fs');
+const path = require('node:path');
 const ProjectManager = require('./lib/projectManager.js');
-const { IngressHistorySimulator } = require('./lib/ice.js');
+const { IngressHistorySimulator, LoginRequiredError } = require('./lib/ice.js');
+const { HistoryDatabase } = require('./lib/historyDB.js');
+const { parsePlexts } = require('./lib/plextParser.js');
+const { exportHistory, importHistory } = require('./lib/historyExport.js');
 const VideoGenerator = require('./lib/ffmpeg.js');
+const { EXIT_CODES, UsageError, helpText, parseCommandLine } = require('./lib/cli.js');
 
 const screenshotDir = process.env.SCREENSHOT_DIR || './screenshots';
 
 const pm = new ProjectManager(process.cwd(), 'history');
 const ffmpeg = new VideoGenerator(parseInt(process.env.TARGET_FPS) || 30, pm.projectDir, screenshotDir);
 
+/**
+ * Print schema version and row counts of a history DB without migrating it.
+ * @param {string} dbPath
+ * @returns {Promise<number>} Exit code
+ */
+const checkDatabase = async (dbPath) => {
+    if (!fs.existsSync(dbPath)) {
+        console.error(`No history DB found at ${dbPath}`);
+        return EXIT_CODES.FAILURE;
+    }
+
+    const db = new HistoryDatabase(dbPath, true);
+    try {
+        const info = await db.getInfo();
+        console.log(`History DB: ${dbPath}`);
+        console.log(`Schema version: ${info.version} (supported: ${info.supportedVersion})`);
+        Object.entries(info.tables).forEach(([table, count]) => console.log(`  ${table}: ${count} rows`));
+        if (info.legacyPortals !== null) console.log(`  Portals still keyed by name: ${info.legacyPortals}`);
+        if (info.firstAction !== null) console.log(`Actions from ${new Date(info.firstAction).toISOString()} to ${new Date(info.lastAction).toISOString()}`);
+
+        if (info.version > info.supportedVersion) {
+            console.error("This DB was written by a newer version of cheap-ice.");
+            return EXIT_CODES.FAILURE;
+        }
+        if (info.version < info.supportedVersion) console.log("The DB is migrated to the current version on the next run.");
+        return EXIT_CODES.OK;
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Rebuild actions and portals of a history DB from its raw plexts with the current parser.
+ * @param {string} dbPath
+ * @returns {Promise<number>} Exit code
+ */
+const reparseDatabase = async (dbPath) => {
+    if (!fs.existsSync(dbPath)) {
+        console.error(`No history DB found at ${dbPath}`);
+        return EXIT_CODES.FAILURE;
+    }
+
+    const db = new HistoryDatabase(dbPath);
+    try {
+        await db.open();
+        const { plexts, actions, kept } = await db.reparse(parsePlexts);
+        console.log(`Parsed ${plexts} raw plexts into ${actions} actions.`);
+        if (kept > 0) console.log(`Kept ${kept} actions without raw plexts, they were fetched by an older version.`);
+        await db.repairLegacyPortals();
+        return EXIT_CODES.OK;
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Export portals, actions, players or snapshots of a history DB into a file.
+ * Snapshots are simulated with the URL, historySnapshot and historyDecay settings, like the rendered history.
+ * @param {string} dbPath
+ * @param {Object} options - { kind, format, output, times, from, to, player, team }
+ * @param {Object} config - Settings from --config or project.json
+ * @returns {Promise<number>} Exit code
+ */
+const exportDatabase = async (dbPath, options, config) => {
+    if (!fs.existsSync(dbPath)) {
+        console.error(`No history DB found at ${dbPath}`);
+        return EXIT_CODES.FAILURE;
+    }
+
+    const db = new HistoryDatabase(dbPath);
+    try {
+        await db.open();
+        const simulation = { area: config.intelUrl, snapshot: config.historySnapshot, decay: config.historyDecay };
+        fs.writeFileSync(options.output, await exportHistory(db, { ...options, simulation }));
+        console.log(`Exported ${options.kind} as ${options.format} to ${path.resolve(options.output)}`);
+        return EXIT_CODES.OK;
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Merge a JSON Lines export into the history DB, the DB is created if needed.
+ * @param {string} dbPath
+ * @param {string} file
+ * @returns {Promise<number>} Exit code
+ */
+const importIntoDatabase = async (dbPath, file) => {
+    if (!fs.existsSync(file)) throw new UsageError(`Import file not found: ${path.resolve(file)}`);
+    if (!fs.existsSync(path.dirname(dbPath))) fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new HistoryDatabase(dbPath);
+    try {
+        await db.open();
+        let result;
+        try {
+            result = await importHistory(db, fs.readFileSync(file, 'utf8'), parsePlexts);
+        } catch (err) {
+            console.error(`Import failed: ${err.message}`);
+            return EXIT_CODES.FAILURE;
+        }
+        const { portals, actions, skipped } = result;
+        console.log(`Imported ${portals} new portals and ${actions} new actions.`);
+        if (skipped > 0) console.log(`Skipped ${skipped} records (portals keyed by name, their actions or unknown records).`);
+        await db.repairLegacyPortals();
+        return EXIT_CODES.OK;
+    } finally {
+        await db.close();
+    }
+}
+
 (async () => {
     if (process.env.DEBUG == 'true') console.log("Running in DEBUG mode.");
-    const { config, command } = await pm.getConfiguration();
+    const cliOptions = parseCommandLine('recall');
+    if (cliOptions && cliOptions.help) {
+        console.log(helpText);
+        return EXIT_CODES.OK;
+    }
+    if (cliOptions && cliOptions.checkDb) return checkDatabase(path.join(screenshotDir, 'ingress_history.db'));
+    if (cliOptions && cliOptions.reparse) return reparseDatabase(path.join(screenshotDir, 'ingress_history.db'));
+    if (cliOptions && cliOptions.export) {
+        const config = pm.loadBaseConfiguration(cliOptions);
+        if (cliOptions.intelUrl !== undefined) config.intelUrl = cliOptions.intelUrl;
+        return exportDatabase(path.join(screenshotDir, 'ingress_history.db'), cliOptions.export, config);
+    }
+    if (cliOptions && cliOptions.importFile) return importIntoDatabase(path.join(screenshotDir, 'ingress_history.db'), cliOptions.importFile);
+    const interactive = cliOptions === null;
+    const { config, command } = await pm.getConfiguration(cliOptions);
 
     if (config.numberOfScreenshots === 0 && config.screenshotPerAction !== true) {
         console.error("For history simulation, 'Run until stopped' is not supported. Please specify a finite number of screenshots or duration.");
-        process.exit(1);
+        return EXIT_CODES.USAGE;
     }
 
     const iceBot = new IngressHistorySimulator(
         config.intelUrl,
         screenshotDir,
+        undefined,
+        { interactive, overlay: config.overlay, fetch: config.historyFetch, snapshot: config.historySnapshot, decay: config.historyDecay }
     );
 
-    // Current time minus config.numberOfScreenshots * config.screenshotInterval or historyContextWindow (in days) whatever is larger
-    const screenshotsMs = config.numberOfScreenshots * config.screenshotInterval * 1000;
-    const historyContextMs = (config.historyContextWindow || 0) * 24 * 60 * 60 * 1000;
-    const totalLookback = Math.max(screenshotsMs, historyContextMs);
-    const getDataUntilTimestamp = Date.now() - totalLookback;
-    await iceBot.setSimulationStart(historyContextMs, screenshotsMs)
+    let exitCode = EXIT_CODES.OK;
+    try {
+        // Current time minus config.numberOfScreenshots * config.screenshotInterval or historyContextWindow (in days) whatever is larger
+        const screenshotsMs = config.numberOfScreenshots * config.screenshotInterval * 1000;
+        const historyContextMs = (config.historyContextWindow || 0) * 24 * 60 * 60 * 1000;
+        const totalLookback = Math.max(screenshotsMs, historyContextMs);
+        const getDataUntilTimestamp = Date.now() - totalLookback;
+        await iceBot.setSimulationStart(historyContextMs, screenshotsMs)
 
-    if (command !== 'skip') {
-        await iceBot.fetchHistoryUntil(getDataUntilTimestamp);
+        if (command !== 'skip') {
+            await iceBot.snapshotMap();
+            const fetched = await iceBot.fetchHistoryUntil(getDataUntilTimestamp);
+            // The simulation still runs with what was fetched, but scripts should notice the gap
+            if (!fetched.complete) exitCode = EXIT_CODES.FAILURE;
+        }
+
+        await iceBot.simulateHistory(
+            screenshotDir,
+            config.screenshotInterval,
+            config.screenshotTimestamp,
+            config.screenshotWidth,
+            config.screenshotHeight,
+            config.screenshotPerAction
+        );
+    } finally {
+        await iceBot.closeBrowser();
     }
 
-    await iceBot.simulateHistory(
-        screenshotDir,
-        config.screenshotInterval,
-        config.screenshotTimestamp,
-        config.screenshotWidth,
-        config.screenshotHeight,
-        config.screenshotPerAction
-    );
+    if (!interactive && config.video.mode === 'none') return exitCode;
 
     const ffmpegAvailable = await ffmpeg.checkFFmpeg();
     if (!ffmpegAvailable) {
         console.error("FFmpeg is not available. Skipping video generation.");
-        process.exit(1);
+        return EXIT_CODES.FAILURE;
     }
 
-    await ffmpeg.generateVideo(config.screenshotInterval);
-})();
+    const rendered = await ffmpeg.generateVideo(config.screenshotInterval, interactive ? null : config.video);
+    return rendered ? exitCode : EXIT_CODES.FAILURE;
+})().then((exitCode) => {
+    process.exit(exitCode);
+}).catch((error) => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\nUse --help to see all options.`);
+        process.exit(EXIT_CODES.USAGE);
+    }
+    if (error instanceof LoginRequiredError) {
+        console.error(error.message);
+        process.exit(EXIT_CODES.LOGIN_REQUIRED);
+    }
+    console.error(error);
+    process.exit(EXIT_CODES.FAILURE);
+});
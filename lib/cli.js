@@ -0,0 +1,219 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { EXPORT_FORMATS, EXPORT_KINDS } = require('./historyExport.js');
+const { parseTimestampInput } = require('./utils.js');
+
+/**
+ * Process exit codes used by index.js and index_recall.js.
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    LOGIN_REQUIRED: 3,
+};
+
+const optionDefinitions = {
+    'help': { type: 'boolean', short: 'h' },
+    'config': { type: 'string', short: 'c' },
+    'width': { type: 'string' },
+    'height': { type: 'string' },
+    'interval': { type: 'string' },
+    'url': { type: 'string' },
+    'count': { type: 'string' },
+    'duration': { type: 'string' },
+    'until-stopped': { type: 'boolean' },
+    'history-days': { type: 'string' },
+    'start': { type: 'string' },
+    'skip-capture': { type: 'boolean' },
+    'check-db': { type: 'boolean' },
+    'reparse': { type: 'boolean' },
+    'record-comm': { type: 'boolean' },
+    'export': { type: 'string' },
+    'format': { type: 'string' },
+    'output': { type: 'string', short: 'o' },
+    'at': { type: 'string', multiple: true },
+    'from': { type: 'string' },
+    'to': { type: 'string' },
+    'player': { type: 'string' },
+    'team': { type: 'string' },
+    'import': { type: 'string' },
+    'video-mode': { type: 'string' },
+    'video-factor': { type: 'string' },
+    'video-duration': { type: 'string' },
+    'video-max-still': { type: 'string' },
+};
+
+// Options only one of the scripts uses, the other one rejects them instead of ignoring them
+const scriptOptions = {
+    live: ['record-comm'],
+    recall: ['history-days', 'start', 'check-db', 'reparse', 'export', 'format', 'output', 'at', 'from', 'to', 'player', 'team', 'import'],
+};
+
+const helpText = `
+Usage: node <index.js|index_recall.js> [options]
+
+Without options the interactive wizard is started.
+As soon as any option is given, the run is fully non-interactive.
+Options marked Live only work with index.js, options marked Recall only with index_recall.js.
+
+Options:
+  -c, --config <file>         JSON file with settings (same keys as project.json).
+                              Replaces project.json as the base configuration.
+      --width <px>            Screenshot width
+      --height <px>           Screenshot height
+      --interval <seconds>    Screenshot interval
+      --url <url>             Intel URL
+      --count <n>             Take a specific number of screenshots
+      --duration <DD:HH:MM>   Run for a duration (DD:HH:MM, HH:MM or MM)
+      --until-stopped         Live: run until stopped. Recall: capture every action
+      --history-days <n>      Recall: days of Intel context to fetch
+      --start <DD.MM.YYYY-HH:MM:SS>
+                              Recall: screenshot start time (UTC)
+      --skip-capture          Skip capturing/fetching and go to video generation
+      --record-comm           Live: also record COMM into the history DB while capturing
+      --check-db              Recall: print version and row counts of the history DB and exit
+      --reparse               Recall: rebuild the history DB from the stored raw plexts and exit
+      --export <what>         Recall: export portals, actions, players or snapshot and exit
+      --format <format>       Recall: export format, geojson, csv or jsonl (default)
+  -o, --output <file>         Recall: export file. Default is history_<what>.<ext>
+      --at <DD.MM.YYYY-HH:MM:SS>
+                              Recall: snapshot time (UTC), can be given several times
+      --from <DD.MM.YYYY-HH:MM:SS>, --to <DD.MM.YYYY-HH:MM:SS>
+                              Recall: time window of an actions or players export (UTC)
+      --player <name>         Recall: only export the actions of this agent
+      --team <team>           Recall: only export actions or players of RES, ENL or MACHINA
+      --import <file>         Recall: merge a JSON Lines export into the history DB and exit
+      --video-mode <mode>     speed, duration or none (required without prompts)
+      --video-factor <n>      Speed factor for --video-mode speed
+      --video-duration <sec>  Target length for --video-mode duration
+      --video-max-still <n>   Max unchanged frames in a row in the video
+  -h, --help                  Show this help
+
+Exit codes: 0 success, 1 runtime failure, 2 invalid usage or configuration,
+            3 Intel login required (run once without flags and log in).
+`;
+
+/**
+ * Error raised for invalid command line usage or configuration.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse the command line into an options object.
+ * Returns null when no options were given (interactive mode).
+ * @param {String} script - 'live' for index.js, 'recall' for index_recall.js
+ * @param {String[]} argv - Arguments without node and script path
+ * @returns {Object|null}
+ */
+const parseCommandLine = (script, argv = process.argv.slice(2)) => {
+    if (!scriptOptions[script]) throw new Error(`Unknown script '${script}'.`);
+    if (argv.length === 0) return null;
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: optionDefinitions, strict: true, allowPositionals: false });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const values = parsed.values;
+    Object.entries(scriptOptions).forEach(([other, names]) => {
+        if (other === script) return;
+        const given = names.find(name => values[name] !== undefined);
+        if (given) throw new UsageError(`--${given} is not available in ${script === 'live' ? 'index.js' : 'index_recall.js'}, it is a ${other} option.`);
+    });
+    const options = { help: values.help === true };
+
+    if (values.config) {
+        const configPath = path.resolve(values.config);
+        if (!fs.existsSync(configPath)) throw new UsageError(`Config file not found: ${configPath}`);
+        try {
+            options.configFile = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (err) {
+            throw new UsageError(`Config file is not valid JSON: ${err.message}`);
+        }
+    }
+
+    const toNumber = (name, parser = parseInt) => {
+        if (values[name] === undefined) return undefined;
+        const value = parser(values[name]);
+        if (isNaN(value) || value < 0) throw new UsageError(`--${name} expects a non-negative number, got '${values[name]}'.`);
+        return value;
+    };
+
+    const countModes = ['count', 'duration', 'until-stopped'].filter(name => values[name] !== undefined);
+    if (countModes.length > 1) throw new UsageError(`Only one of --count, --duration or --until-stopped can be used.`);
+
+    options.screenshotWidth = toNumber('width');
+    options.screenshotHeight = toNumber('height');
+    options.screenshotInterval = toNumber('interval');
+    options.intelUrl = values.url;
+    options.numberOfScreenshots = toNumber('count');
+    options.duration = values.duration;
+    options.untilStopped = values['until-stopped'];
+    options.historyContextWindow = toNumber('history-days');
+    options.start = values.start;
+    options.skipCapture = values['skip-capture'] === true;
+    options.checkDb = values['check-db'] === true;
+    options.reparse = values.reparse === true;
+    options.recordComm = values['record-comm'] === true;
+    options.importFile = values.import;
+
+    const toTimestamp = (name, value) => {
+        const timestamp = parseTimestampInput(value);
+        if (!timestamp) throw new UsageError(`Invalid --${name} time '${value}'. Use DD.MM.YYYY-HH:MM:SS`);
+        return timestamp;
+    };
+
+    if (values.export !== undefined) {
+        if (!EXPORT_KINDS.includes(values.export)) throw new UsageError(`--export must be one of ${EXPORT_KINDS.join(', ')}, got '${values.export}'.`);
+        const format = values.format || 'jsonl';
+        if (!EXPORT_FORMATS.includes(format)) throw new UsageError(`--format must be one of ${EXPORT_FORMATS.join(', ')}, got '${format}'.`);
+        if (values.export === 'snapshot' && !values.at) throw new UsageError("--export snapshot needs at least one --at time.");
+        if (values.export === 'players' && format === 'geojson') throw new UsageError("--export players has no location, use --format csv or jsonl.");
+        if (values.player !== undefined && values.export !== 'actions') throw new UsageError("--player only works with --export actions.");
+        if (values.team !== undefined && !['actions', 'players'].includes(values.export)) throw new UsageError("--team only works with --export actions or players.");
+        const team = values.team !== undefined ? values.team.toUpperCase() : undefined;
+        if (team !== undefined && !['RES', 'ENL', 'MACHINA'].includes(team)) throw new UsageError(`--team must be RES, ENL or MACHINA, got '${values.team}'.`);
+
+        options.export = {
+            kind: values.export,
+            format,
+            output: values.output || `history_${values.export}.${format}`,
+            times: (values.at || []).map(value => toTimestamp('at', value)),
+            from: values.from !== undefined ? toTimestamp('from', values.from) : undefined,
+            to: values.to !== undefined ? toTimestamp('to', values.to) : undefined,
+            player: values.player,
+            team,
+        };
+    } else if (values.player !== undefined || values.team !== undefined) {
+        throw new UsageError(`--${values.player !== undefined ? 'player' : 'team'} only works with --export.`);
+    }
+
+    const videoMode = values['video-mode'];
+    if (videoMode !== undefined && !['speed', 'duration', 'none'].includes(videoMode)) {
+        throw new UsageError(`--video-mode must be 'speed', 'duration' or 'none', got '${videoMode}'.`);
+    }
+    options.video = {
+        mode: videoMode,
+        factor: toNumber('video-factor', parseFloat),
+        duration: toNumber('video-duration', parseFloat),
+        maxStillFrames: toNumber('video-max-still'),
+    };
+
+    return options;
+}
+
+module.exports = {
+    EXIT_CODES,
+    UsageError,
+    helpText,
+    parseCommandLine
+};
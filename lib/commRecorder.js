@@ -0,0 +1,179 @@
+const { HistoryDatabase } = require('./historyDB.js');
+const { parsePlexts } = require('./plextParser.js');
+const { PlextFetcher, PlextFetchError, loadPlextPayload, requestPlexts } = require('./plextFetcher.js');
+
+const DEFAULT_COMM_OPTIONS = {
+    enabled: false,
+    intervalSeconds: 60,     // Time between two polls
+    url: null,               // Intel URL whose COMM is recorded, default is the capture URL
+    finalPollSeconds: 60,    // Max time of the last poll when the capture stops, a recall run fetches what is left
+};
+
+/**
+ * Resolve the COMM recording options of a live capture.
+ * @param {Object} options - { enabled, intervalSeconds, url, finalPollSeconds }
+ * @returns {{enabled: boolean, intervalSeconds: number, url: string|null, finalPollSeconds: number}}
+ */
+const resolveCommOptions = (options) => {
+    const resolved = { ...DEFAULT_COMM_OPTIONS, ...(options || {}) };
+    if (!(resolved.intervalSeconds > 0)) throw new Error("commRecording.intervalSeconds must be greater than 0.");
+    if (!(resolved.finalPollSeconds > 0)) throw new Error("commRecording.finalPollSeconds must be greater than 0.");
+    return resolved;
+}
+
+/**
+ * Comm Recorder
+ * Polls getPlexts forward on its own page while the capture runs and stores new events in the history DB.
+ * The polled time ranges are recorded as fetched, so a later recall run does not fetch them again.
+ * @constructor
+ * @param {Function} openPage - async () => page, called again after the page or the browser was lost
+ * @param {string} url - Intel URL, also the area of the fetched ranges
+ * @param {string} dbPath - History DB, usually ingress_history.db in the screenshot directory
+ * @param {Object} options - { intervalSeconds, finalPollSeconds }
+ * @param {Object} fetchOptions - See DEFAULT_FETCH_OPTIONS in lib/plextFetcher.js
+ */
+class CommRecorder {
+    constructor(openPage, url, dbPath, options = {}, fetchOptions = {}) {
+        this.openPage = openPage;
+        this.url = url;
+        this.dbPath = dbPath;
+        this.intervalSeconds = options.intervalSeconds || DEFAULT_COMM_OPTIONS.intervalSeconds;
+        this.finalPollSeconds = options.finalPollSeconds || DEFAULT_COMM_OPTIONS.finalPollSeconds;
+        this.fetchOptions = fetchOptions;
+
+        this.db = null;
+        this.page = null;
+        this.fetcher = null;
+        this.startedAt = null;
+        this.since = null;
+        this.stopRequested = false;
+        this.flushing = false;
+        this.deadline = Infinity;
+        this.loop = null;
+        this.saved = 0;
+    }
+
+    /**
+     * Open the DB and start polling in the background.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.db = new HistoryDatabase(this.dbPath);
+        await this.db.open();
+
+        this.startedAt = Date.now();
+        this.since = this.startedAt;
+        this.stopRequested = false;
+        this.loop = this.#run();
+        console.log(`Recording COMM every ${this.intervalSeconds}s into ${this.dbPath}`);
+    }
+
+    /**
+     * Poll a last time up to now, then close page and DB.
+     * The last poll waits out its backoffs, so throttling or server errors are not answered with instant retries,
+     * but gives up after finalPollSeconds. The range it did not fetch stays a gap in the fetched ranges for a recall run.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.loop) return;
+        this.stopRequested = true;
+        await this.loop;
+        this.loop = null;
+
+        this.flushing = true;
+        this.deadline = Date.now() + this.finalPollSeconds * 1000;
+        try {
+            await this.#poll();
+        } finally {
+            this.flushing = false;
+            this.deadline = Infinity;
+        }
+        if (this.page) await this.page.close().catch(() => { });
+        this.page = null;
+        await this.db.close();
+        console.log(`COMM recording finished: ${this.saved} events saved, ${new Date(this.startedAt).toISOString()} - ${new Date(this.since).toISOString()} covered.`);
+    }
+
+    #run = async () => {
+        while (!this.stopRequested) {
+            await this.#waitUnlessStopped(this.intervalSeconds * 1000);
+            if (this.stopRequested) break;
+            await this.#poll();
+        }
+    }
+
+    /**
+     * Fetch everything since the last successful poll, newest first.
+     * Every fetched page counts as fetched at once. A failed poll is logged and its range is fetched again by the next one,
+     * the capture is never interrupted.
+     * @returns {Promise<void>}
+     */
+    #poll = async () => {
+        const until = Date.now();
+        let max = until;
+        try {
+            await this.#ensureFetcher();
+
+            while (true) {
+                const rawItems = await this.fetcher.fetchPage(this.since, max, this.deadline);
+                if (rawItems.length === 0) break;
+
+                const parsed = parsePlexts(rawItems);
+                await this.db.saveEvents(parsed, rawItems);
+                this.saved += parsed.length;
+
+                const oldestTimestamp = rawItems[rawItems.length - 1][1];
+                if (oldestTimestamp <= this.since) break;
+                await this.db.addFetchedRange(this.url, oldestTimestamp, until);
+                max = oldestTimestamp - 1;
+                if (Date.now() >= this.deadline) throw new Error('no time left');
+            }
+
+            await this.db.addFetchedRange(this.url, this.since, until);
+            this.since = until;
+        } catch (error) {
+            const reason = error instanceof PlextFetchError ? error.reason : error.message;
+            if (this.flushing) {
+                console.warn(`COMM recording: last poll failed (${reason}), ${new Date(this.since).toISOString()} - ${new Date(max).toISOString()} is not recorded. A recall run with the same URL fetches it while Intel still has it.`);
+            } else {
+                console.warn(`COMM recording: poll failed (${reason}), retrying with the next poll.`);
+            }
+            // Reload Intel on the next poll, the page may be gone with a browser restart
+            this.fetcher = null;
+        }
+    }
+
+    /**
+     * Open the recording page and load Intel if needed.
+     * @returns {Promise<void>}
+     */
+    #ensureFetcher = async () => {
+        if (this.fetcher && this.page && !this.page.isClosed()) return;
+
+        if (this.page && !this.page.isClosed()) await this.page.close().catch(() => { });
+        this.page = await this.openPage();
+
+        const request = (payload) => requestPlexts(this.page, payload);
+        const refresh = () => loadPlextPayload(this.page, this.url);
+        // Backoff waits of the loop end early on stop, so stopping the capture is not held up by a long retry
+        this.fetcher = new PlextFetcher(request, refresh, await refresh(), this.fetchOptions, this.#waitUnlessStopped);
+    }
+
+    /**
+     * Wait, but wake up early if a stop was requested. The final poll of stop() always waits the full time.
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    #waitUnlessStopped = async (ms) => {
+        const until = Date.now() + ms;
+        while (Date.now() < until && (this.flushing || !this.stopRequested)) {
+            await new Promise(r => setTimeout(r, Math.min(until - Date.now(), 1000)));
+        }
+    }
+}
+
+module.exports = {
+    CommRecorder,
+    DEFAULT_COMM_OPTIONS,
+    resolveCommOptions
+};
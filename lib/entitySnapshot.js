@@ -0,0 +1,139 @@
+const { parseE6 } = require('./utils.js');
+const { requestIntel } = require('./plextFetcher.js');
+
+const DEFAULT_SNAPSHOT_OPTIONS = {
+    enabled: true,
+    timeoutSeconds: 60,      // Max time to wait for Intel's own map requests
+    quietMs: 2000,           // Time without new map requests before the tile list counts as complete
+    batchSize: 25,           // Tile keys per getEntities request, Intel uses the same
+    retries: 3,              // Rounds of requesting the tiles that failed again
+    retryDelayMs: 3000,
+};
+
+const TEAMS = { R: 'RES', E: 'ENL', M: 'MACHINA', N: 'NEUTRAL' };
+
+/**
+ * Resolve the map snapshot options of a history fetch.
+ * @param {Object} options - See DEFAULT_SNAPSHOT_OPTIONS
+ * @returns {Object}
+ */
+const resolveSnapshotOptions = (options) => ({ ...DEFAULT_SNAPSHOT_OPTIONS, ...(options || {}) });
+
+const point = (guid, latE6, lngE6) => ({ id: guid, lat: parseE6(latE6), lng: parseE6(lngE6) });
+
+/**
+ * Turn getEntities game entities into portals, links and fields. Entities that show up in several tiles are kept once.
+ * @param {Array} gameEntities - [guid, timestamp, data]
+ * @returns {{portals: Object[], links: Object[], fields: Object[]}}
+ */
+const parseEntities = (gameEntities) => {
+    const portals = new Map();
+    const links = new Map();
+    const fields = new Map();
+
+    gameEntities.forEach(([guid, , data]) => {
+        if (!Array.isArray(data)) return;
+        const team = TEAMS[data[1]] || 'NEUTRAL';
+
+        if (data[0] === 'p') {
+            portals.set(guid, { ...point(guid, data[2], data[3]), team, level: data[4] ?? null, health: data[5] ?? null, resCount: data[6] ?? null, name: data[8] || null });
+        } else if (data[0] === 'e') {
+            links.set(guid, { id: guid, team, p1: point(data[2], data[3], data[4]), p2: point(data[5], data[6], data[7]) });
+        } else if (data[0] === 'r' && Array.isArray(data[2]) && data[2].length === 3) {
+            fields.set(guid, { id: guid, team, points: data[2].map(([id, latE6, lngE6]) => point(id, latE6, lngE6)) });
+        }
+    });
+
+    return { portals: [...portals.values()], links: [...links.values()], fields: [...fields.values()] };
+}
+
+/**
+ * Load Intel and collect the tile keys of its own getEntities requests, they cover the visible map.
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @param {Object} options - See DEFAULT_SNAPSHOT_OPTIONS
+ * @returns {Promise<{tileKeys: string[], basePayload: Object|null}>} No tile keys if Intel made no map request (e.g. login page)
+ */
+const collectTileKeys = async (page, url, options) => {
+    const tileKeys = new Set();
+    let basePayload = null;
+    let lastRequestAt = 0;
+
+    const onRequest = (request) => {
+        if (!request.url().includes('/r/getEntities') || request.method() !== 'POST') return;
+        try {
+            const payload = JSON.parse(request.postData());
+            (payload.tileKeys || []).forEach(key => tileKeys.add(key));
+            basePayload = payload;
+            lastRequestAt = Date.now();
+        } catch (e) { }
+    };
+
+    page.on('request', onRequest);
+    try {
+        await page.goto(url, { waitUntil: 'domcontentloaded' });
+
+        const deadline = Date.now() + options.timeoutSeconds * 1000;
+        while (Date.now() < deadline) {
+            if (lastRequestAt > 0 && Date.now() - lastRequestAt >= options.quietMs) break;
+            await new Promise(r => setTimeout(r, 250));
+        }
+    } finally {
+        page.off('request', onRequest);
+    }
+
+    return { tileKeys: [...tileKeys], basePayload };
+}
+
+/**
+ * Snapshot the portals, links and fields of the visible map from Intel's entity endpoint.
+ * The tiles are requested again from inside the page, tiles Intel could not load in time are retried.
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @param {Object} options - See DEFAULT_SNAPSHOT_OPTIONS
+ * @returns {Promise<{timestamp: number, tiles: number, failedTiles: string[], portals: Object[], links: Object[], fields: Object[]}|null>}
+ * Null if Intel did not request any map data
+ */
+const captureEntitySnapshot = async (page, url, options = {}) => {
+    const resolved = resolveSnapshotOptions(options);
+    const { tileKeys, basePayload } = await collectTileKeys(page, url, resolved);
+    if (tileKeys.length === 0) return null;
+
+    const entities = [];
+    let pending = tileKeys;
+    for (let round = 0; round <= resolved.retries && pending.length > 0; round++) {
+        if (round > 0) {
+            console.warn(`Map snapshot: ${pending.length} tiles failed, retry ${round}/${resolved.retries}...`);
+            await new Promise(r => setTimeout(r, resolved.retryDelayMs));
+        }
+
+        const failed = [];
+        for (let i = 0; i < pending.length; i += resolved.batchSize) {
+            const batch = pending.slice(i, i + resolved.batchSize);
+            const response = await requestIntel(page, '/r/getEntities', { ...basePayload, tileKeys: batch });
+            const map = response.status === 200 && response.body && response.body.result ? response.body.result.map || {} : {};
+
+            batch.forEach(key => {
+                const tile = map[key];
+                if (tile && Array.isArray(tile.gameEntities)) entities.push(...tile.gameEntities);
+                else failed.push(key);
+            });
+        }
+        pending = failed;
+    }
+
+    return {
+        timestamp: Date.now(),
+        tiles: tileKeys.length,
+        failedTiles: pending,
+        ...parseEntities(entities),
+    };
+}
+
+module.exports = {
+    DEFAULT_SNAPSHOT_OPTIONS,
+    captureEntitySnapshot,
+    collectTileKeys,
+    parseEntities,
+    resolveSnapshotOptions
+};
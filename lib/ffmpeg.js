@@ -2,65 +2,78 @@ const fs = require('node:fs');
 const path = require('node:path');
 const { spawn } = require('node:child_process');
 const { getuserInput } = require('./utils.js');
+const { CaptureManifest } = require('./manifest.js');
 
 class VideoGenerator {
-    constructor(target_fps, projectDir, screenshotDir) {
+    constructor(target_fps, projectDir, screenshotDir, outputName = 'output_timelapse.mp4') {
         this.target_fps = target_fps;
         this.projectDir = projectDir;
         this.screenshotDir = screenshotDir;
-        this.outputPath = path.join(this.projectDir, 'output_timelapse.mp4');
+        this.outputPath = path.join(this.projectDir, outputName);
     }
 
     /**
      * Checks if FFmpeg is installed and accessible.
-     * @returns {Promise<boolean>} Resolves to true if FFmpeg is found, otherwise rejects with an error.
+     * @returns {Promise<boolean>} Resolves to true if FFmpeg is found, otherwise to false.
      */
     async checkFFmpeg() {
-        return new Promise((resolve, reject) => {
+        return new Promise((resolve) => {
             const ffmpeg = spawn('ffmpeg', ['-version']);
-            ffmpeg.on('error', (err) => {
-                reject(new Error("FFmpeg not found. Please install FFmpeg and ensure it's in your system PATH."));
-            });
-            ffmpeg.on('close', (code) => {
-                if (code === 0) {
-                    resolve(true);
-                } else {
-                    reject(new Error("FFmpeg not found. Please install FFmpeg and ensure it's in your system PATH."));
-                }
-            });
+            // A missing binary emits 'error', the callers report it
+            ffmpeg.on('error', () => resolve(false));
+            ffmpeg.on('close', (code) => resolve(code === 0));
         });
     }
 
     /**
      * Generates a video based on user input regarding speed factor or constant time.
+     * Resolves to false if there was nothing to render.
+     * @param {Number} screenshotInterval - Interval between screenshots in seconds
+     * @param {Object|null} videoOptions - { mode: 'speed'|'duration', factor, duration, maxStillFrames }, skips the prompts if set
      */
-    async generateVideo(screenshotInterval) {
-        console.log("\n--- Video Generation Wizard ---");
+    async generateVideo(screenshotInterval, videoOptions = null) {
+        console.log(videoOptions ? "\n--- Video Generation ---" : "\n--- Video Generation Wizard ---");
+
+        let frames = this.collectFrames();
+
+        const stillFrames = frames.filter(frame => frame.still).length;
+        if (stillFrames > 0) {
+            console.log(`${stillFrames} frames show no change to the previous one.`);
+            let maxStillFrames = videoOptions ? videoOptions.maxStillFrames : null;
+            if (!videoOptions) {
+                const answer = await getuserInput("Max unchanged frames in a row (empty to keep all): ");
+                maxStillFrames = answer.trim() === '' ? null : parseInt(answer, 10);
+            }
+            frames = this.#capStillFrames(frames, maxStillFrames);
+        }
 
-        const files = fs.readdirSync(this.screenshotDir)
-            .filter(f => f.endsWith('.png'))
-            .sort((a, b) => parseInt(a) - parseInt(b));
+        const files = frames.map(frame => frame.file);
 
         const totalFrames = files.length;
         if (totalFrames === 0) {
             console.error("No screenshots found.");
-            return;
+            return false;
         }
 
-        console.log(`Found ${totalFrames} screenshots.`);
+        console.log(`Found ${totalFrames} frames.`);
+
+        let mode;
+        if (videoOptions) {
+            mode = { speed: '1', duration: '2' }[videoOptions.mode];
+        } else {
+            console.log("\nChoose Generation Mode:");
+            console.log("1. Speed Factor (e.g., 'Make it 10x faster than real life')");
+            console.log("2. Constant Time (e.g., 'Fit everything into 60 seconds')");
 
-        console.log("\nChoose Generation Mode:");
-        console.log("1. Speed Factor (e.g., 'Make it 10x faster than real life')");
-        console.log("2. Constant Time (e.g., 'Fit everything into 60 seconds')");
-        
-        const mode = await getuserInput("Select Mode (1 or 2): ");
+            mode = await getuserInput("Select Mode (1 or 2): ");
+        }
 
         let finalFPS = this.target_fps; // Default FPS
 
         if (mode === '1') {
             // --- SPEED FACTOR ---
             
-            const factorStr = await getuserInput("Enter desired speed factor (e.g. 60 for 60x speed): ");
+            const factorStr = videoOptions ? videoOptions.factor : await getuserInput("Enter desired speed factor (e.g. 60 for 60x speed): ");
             const factor = parseFloat(factorStr);
 
             // FORMULA: SpeedFactor = screenshotInterval * FPS
@@ -87,7 +100,7 @@ class VideoGenerator {
 
         } else if (mode === '2') {
             // --- CONSTANT TIME ---
-            const targetDurationStr = await getuserInput("Enter target video duration (seconds): ");
+            const targetDurationStr = videoOptions ? videoOptions.duration : await getuserInput("Enter target video duration (seconds): ");
             const targetDuration = parseFloat(targetDurationStr);
             
             // Calculate strictly based on frames available
@@ -109,6 +122,60 @@ class VideoGenerator {
         finalFPS = Math.round(finalFPS * 100) / 100;
 
         await this.#renderWithPipe(files, finalFPS);
+        return true;
+    }
+
+    /**
+     * Get the frames to render in order.
+     * Uses the capture manifest if there is one, and repeats the previous frame for every missed slot,
+     * so the video keeps the real timing instead of speeding up over gaps.
+     * Dropped duplicates repeat the previous frame as well and, like marked duplicates, count as still frames.
+     * Directories without a manifest fall back to the timestamps in the file names.
+     * @returns {{file: String, still: Boolean}[]} A file can appear several times
+     */
+    collectFrames() {
+        if (!CaptureManifest.exists(this.screenshotDir)) {
+            return fs.readdirSync(this.screenshotDir)
+                .filter(f => f.endsWith('.png'))
+                .sort((a, b) => parseInt(a) - parseInt(b))
+                .map(file => ({ file, still: false }));
+        }
+
+        const frames = [];
+        let filled = 0;
+        let lost = 0;
+        for (const entry of CaptureManifest.timeline(this.screenshotDir)) {
+            if (entry.status === 'captured') {
+                if (fs.existsSync(path.join(this.screenshotDir, entry.file))) frames.push({ file: entry.file, still: entry.duplicate === true });
+                else lost++;
+            } else if (frames.length > 0) {
+                // Nothing to repeat before the first frame
+                frames.push({ file: frames[frames.length - 1].file, still: entry.status === 'duplicate' });
+                if (entry.status === 'missed') filled++;
+            }
+        }
+
+        if (filled > 0) console.log(`Repeating the previous frame for ${filled} missed slots.`);
+        if (lost > 0) console.warn(`${lost} frames from the manifest are missing on disk and were left out.`);
+        return frames;
+    }
+
+    /**
+     * Shorten stretches without change to at most maxStillFrames frames each.
+     * @param {{file: String, still: Boolean}[]} frames
+     * @param {Number|null} maxStillFrames - Null keeps all frames, 0 removes every still frame
+     * @returns {{file: String, still: Boolean}[]}
+     */
+    #capStillFrames(frames, maxStillFrames) {
+        if (maxStillFrames === null || maxStillFrames === undefined || isNaN(maxStillFrames)) return frames;
+
+        let run = 0;
+        const capped = frames.filter(frame => {
+            run = frame.still ? run + 1 : 0;
+            return run <= maxStillFrames;
+        });
+        if (capped.length < frames.length) console.log(`Removed ${frames.length - capped.length} unchanged frames (max ${maxStillFrames} in a row).`);
+        return capped;
     }
 
     /**
@@ -0,0 +1,145 @@
+const zlib = require('node:zlib');
+
+const DUPLICATE_POLICIES = ['keep', 'drop', 'mark'];
+const THUMBNAIL_WIDTH = 256;
+
+/**
+ * Decode a PNG (8 bit, not interlaced) and shrink it to a grayscale thumbnail.
+ * Other PNGs, e.g. 16 bit, palette or interlaced ones, and broken image data throw instead of giving a wrong thumbnail.
+ * The compressed image data is inflated at once (about width * height * channels bytes), rows are then unfiltered
+ * one by one into two row buffers, so no second decoded copy of the full size image is made.
+ * @param {Buffer} buffer - PNG file content
+ * @param {number} thumbnailWidth - Width of the thumbnail, the height keeps the aspect ratio. Default is 256.
+ * @returns {{width: number, height: number, sourceWidth: number, sourceHeight: number, pixels: Float32Array}} Grayscale values 0-255
+ */
+const createThumbnail = (buffer, thumbnailWidth = THUMBNAIL_WIDTH) => {
+    if (buffer.readUInt32BE(0) !== 0x89504e47) throw new Error('Not a PNG file.');
+
+    let width, height, bitDepth, colorType, interlace;
+    const idat = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    if (!width || !height) throw new Error('PNG without image header.');
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+    if (bitDepth !== 8 || !channels || interlace !== 0) {
+        throw new Error(`Unsupported PNG (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace}).`);
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    if (raw.length < height * (stride + 1)) throw new Error('Truncated PNG image data.');
+    const tw = Math.min(thumbnailWidth, width);
+    const th = Math.max(1, Math.round(height * tw / width));
+    const sums = new Float64Array(tw * th);
+    const counts = new Uint32Array(tw * th);
+
+    let previous = Buffer.alloc(stride);
+    let current = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (stride + 1);
+        const filter = raw[rowStart];
+        if (filter > 4) throw new Error(`Unknown PNG filter type ${filter} in row ${y}.`);
+        for (let x = 0; x < stride; x++) {
+            const value = raw[rowStart + 1 + x];
+            const left = x >= channels ? current[x - channels] : 0;
+            const up = previous[x];
+            const upLeft = x >= channels ? previous[x - channels] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+            }
+            current[x] = (value + predictor) & 0xff;
+        }
+
+        const ty = Math.min(th - 1, Math.floor(y * th / height));
+        for (let x = 0; x < width; x++) {
+            const i = x * channels;
+            const gray = channels >= 3
+                ? 0.299 * current[i] + 0.587 * current[i + 1] + 0.114 * current[i + 2]
+                : current[i];
+            const cell = ty * tw + Math.min(tw - 1, Math.floor(x * tw / width));
+            sums[cell] += gray;
+            counts[cell]++;
+        }
+
+        [previous, current] = [current, previous];
+    }
+
+    const pixels = new Float32Array(tw * th);
+    for (let i = 0; i < pixels.length; i++) pixels[i] = counts[i] ? sums[i] / counts[i] : 0;
+    return { width: tw, height: th, sourceWidth: width, sourceHeight: height, pixels };
+}
+
+/**
+ * Compare two thumbnails pixel by pixel.
+ * @param {Object} a - From createThumbnail
+ * @param {Object} b - From createThumbnail
+ * @param {number} pixelTolerance - Gray value difference that still counts as unchanged. Default is 8.
+ * @param {Array<{x: number, y: number, width: number, height: number}>} ignore - Areas of the full size image to leave out, e.g. the timestamp overlay
+ * @returns {number} Ratio of changed pixels (0-1), 1 if the sizes differ
+ */
+const changedRatio = (a, b, pixelTolerance = 8, ignore = []) => {
+    if (!a || !b || a.width !== b.width || a.height !== b.height) return 1;
+
+    const scaleX = a.width / a.sourceWidth;
+    const scaleY = a.height / a.sourceHeight;
+    const ignored = (x, y) => ignore.some(r =>
+        x + 1 > r.x * scaleX && x < (r.x + r.width) * scaleX &&
+        y + 1 > r.y * scaleY && y < (r.y + r.height) * scaleY);
+
+    let changed = 0;
+    let compared = 0;
+    for (let y = 0; y < a.height; y++) {
+        for (let x = 0; x < a.width; x++) {
+            if (ignore.length > 0 && ignored(x, y)) continue;
+            const i = y * a.width + x;
+            compared++;
+            if (Math.abs(a.pixels[i] - b.pixels[i]) > pixelTolerance) changed++;
+        }
+    }
+    return compared > 0 ? changed / compared : 0;
+}
+
+/**
+ * Normalize the duplicate frame settings from the project config.
+ * - policy: 'keep' (no comparison), 'drop' (do not save duplicates) or 'mark' (save but mark them in the manifest)
+ * - threshold: Max ratio of changed thumbnail pixels for a duplicate. Default is 0, a single new portal already changes a few.
+ * - pixelTolerance: Gray value difference that still counts as unchanged. Default is 8.
+ * @param {Object} duplicates
+ * @returns {{policy: string, threshold: number, pixelTolerance: number}}
+ */
+const resolveDuplicateOptions = (duplicates = {}) => {
+    const options = { policy: 'keep', threshold: 0, pixelTolerance: 8, ...(duplicates || {}) };
+    if (!DUPLICATE_POLICIES.includes(options.policy)) {
+        throw new Error(`Unknown duplicate frame policy '${options.policy}'. Use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    return options;
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    changedRatio,
+    createThumbnail,
+    resolveDuplicateOptions
+};
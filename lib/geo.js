@@ -0,0 +1,109 @@
+/**
+ * Geometry on the sphere for links and fields.
+ * Links are great circle arcs, so crossings, sides and areas stay right for long links and near the poles.
+ * Points are { lat, lng } in degrees. Arcs must be shorter than half the globe, which every Ingress link is.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;   // Mean earth radius
+
+const RAD = Math.PI / 180;
+
+// Portals do not move, so their unit vectors are computed once
+const vectors = new WeakMap();
+
+const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+const add = (u, v) => [u[0] + v[0], u[1] + v[1], u[2] + v[2]];
+
+/**
+ * Unit vector of a point, x towards lat 0 / lng 0, z towards the north pole.
+ * @param {{lat: number, lng: number}} p
+ * @returns {number[]}
+ */
+const toVector = (p) => {
+    let v = vectors.get(p);
+    if (!v) {
+        const lat = p.lat * RAD;
+        const lng = p.lng * RAD;
+        v = [Math.cos(lat) * Math.cos(lng), Math.cos(lat) * Math.sin(lng), Math.sin(lat)];
+        vectors.set(p, v);
+    }
+    return v;
+}
+
+/**
+ * Which side of the great circle a -> b a point is on.
+ * @returns {number} Positive on the left (seen from above), negative on the right, 0 on the circle
+ */
+const side = (a, b, c) => dot(cross(toVector(a), toVector(b)), toVector(c));
+
+/**
+ * Check if the arcs a-b and c-d cross. Arcs that only share an end point do not cross.
+ * @returns {boolean}
+ */
+const linksIntersect = (a, b, c, d) => {
+    if (a.id !== undefined && [c.id, d.id].some(id => id === a.id || id === b.id)) return false;
+    if (side(a, b, c) * side(a, b, d) >= 0) return false;
+    if (side(c, d, a) * side(c, d, b) >= 0) return false;
+
+    // The great circles meet twice, on opposite sides of the globe. Both arcs have to reach the same one.
+    const va = toVector(a), vb = toVector(b), vc = toVector(c), vd = toVector(d);
+    let meet = cross(cross(va, vb), cross(vc, vd));
+    if (dot(meet, add(va, vb)) < 0) meet = meet.map(x => -x);
+    return dot(meet, add(vc, vd)) > 0;
+}
+
+/**
+ * Check if a point lies strictly inside a triangle. The corners and edges are not inside.
+ * @returns {boolean}
+ */
+const isInsideTriangle = (p, a, b, c) => {
+    const d1 = side(a, b, p);
+    const d2 = side(b, c, p);
+    const d3 = side(c, a, p);
+    return (d1 > 0 && d2 > 0 && d3 > 0) || (d1 < 0 && d2 < 0 && d3 < 0);
+}
+
+/**
+ * Area of a triangle of great circle arcs (Van Oosterom and Strackee).
+ * @returns {number} Square kilometres
+ */
+const areaKm2 = (a, b, c) => {
+    const va = toVector(a), vb = toVector(b), vc = toVector(c);
+    const excess = 2 * Math.atan2(Math.abs(dot(va, cross(vb, vc))), 1 + dot(va, vb) + dot(vb, vc) + dot(vc, va));
+    return excess * EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+}
+
+/**
+ * Latitude and longitude range of an arc. Arcs bend towards the poles, so the range can reach past both end points.
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}}
+ */
+const arcBounds = (a, b) => {
+    let minLat = Math.min(a.lat, b.lat);
+    let maxLat = Math.max(a.lat, b.lat);
+
+    const va = toVector(a), vb = toVector(b);
+    const normal = cross(va, vb);
+    // Northernmost point of the great circle, and its opposite the southernmost
+    const top = [-normal[0] * normal[2], -normal[1] * normal[2], normal[0] * normal[0] + normal[1] * normal[1]];
+    const length = Math.hypot(...top);
+    if (length > 0) {
+        [top, top.map(x => -x)].forEach(v => {
+            if (dot(cross(va, v), normal) <= 0 || dot(cross(v, vb), normal) <= 0) return;
+            const lat = Math.asin(Math.max(-1, Math.min(1, v[2] / length))) / RAD;
+            minLat = Math.min(minLat, lat);
+            maxLat = Math.max(maxLat, lat);
+        });
+    }
+
+    return { minLat, maxLat, minLng: Math.min(a.lng, b.lng), maxLng: Math.max(a.lng, b.lng) };
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    arcBounds,
+    areaKm2,
+    isInsideTriangle,
+    linksIntersect,
+    side
+};
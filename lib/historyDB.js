@@ -0,0 +1,507 @@
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * Schema migrations, applied in order on open. Applied versions are stored in the schema_version table.
+ * Databases from before versioning have version 0 but already contain the version 1 tables.
+ * Never change a released migration, add a new one instead.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Base tables',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS portals (id TEXT PRIMARY KEY, lat REAL, lng REAL, name TEXT, address TEXT, team TEXT)`,
+            `CREATE TABLE IF NOT EXISTS actions (id TEXT PRIMARY KEY, timestamp INTEGER, type TEXT, action TEXT, portal_id TEXT, target_portal_id TEXT, FOREIGN KEY(portal_id) REFERENCES portals(id))`,
+        ],
+    },
+    {
+        version: 2,
+        description: 'Portals keyed by GUID',
+        // Up to here portals were keyed by name, so every existing row is a legacy row until it can be matched to a GUID
+        statements: [
+            `ALTER TABLE portals ADD COLUMN legacy INTEGER NOT NULL DEFAULT 0`,
+            `UPDATE portals SET legacy = 1`,
+            `CREATE INDEX IF NOT EXISTS actions_portal_id ON actions (portal_id)`,
+            `CREATE INDEX IF NOT EXISTS actions_target_portal_id ON actions (target_portal_id)`,
+        ],
+    },
+    {
+        version: 3,
+        description: 'Fetched time ranges',
+        // Older databases start without ranges, as their runs may have left gaps
+        statements: [
+            `CREATE TABLE IF NOT EXISTS fetched_ranges (area TEXT NOT NULL, start_ms INTEGER NOT NULL, end_ms INTEGER NOT NULL)`,
+            `CREATE INDEX IF NOT EXISTS fetched_ranges_area ON fetched_ranges (area)`,
+        ],
+    },
+    {
+        version: 4,
+        description: 'Raw plexts',
+        // Every fetched plext as JSON, including ignored ones, so the history can be parsed again later
+        statements: [
+            `CREATE TABLE IF NOT EXISTS raw_plexts (id TEXT PRIMARY KEY, timestamp INTEGER, data TEXT NOT NULL)`,
+        ],
+    },
+    {
+        version: 5,
+        description: 'Agent and MU of actions',
+        statements: [
+            `ALTER TABLE actions ADD COLUMN player TEXT`,
+            `ALTER TABLE actions ADD COLUMN mu INTEGER`,
+        ],
+    },
+    {
+        version: 6,
+        description: 'Players',
+        statements: [
+            `ALTER TABLE actions ADD COLUMN team TEXT`,
+            `UPDATE actions SET team = CASE
+                WHEN action LIKE '%\\_RES' ESCAPE '\\' THEN 'RES'
+                WHEN action LIKE '%\\_ENL' ESCAPE '\\' THEN 'ENL'
+                WHEN action LIKE '%\\_MACHINA' ESCAPE '\\' THEN 'MACHINA'
+            END`,
+            `CREATE TABLE IF NOT EXISTS players (name TEXT PRIMARY KEY, team TEXT, first_seen INTEGER, last_seen INTEGER)`,
+            `INSERT OR IGNORE INTO players (name, first_seen, last_seen)
+                SELECT player, MIN(timestamp), MAX(timestamp) FROM actions WHERE player IS NOT NULL GROUP BY player`,
+            `UPDATE players SET team = (SELECT team FROM actions WHERE actions.player = players.name AND team IS NOT NULL ORDER BY timestamp DESC LIMIT 1)`,
+            `CREATE INDEX IF NOT EXISTS actions_player ON actions (player, timestamp)`,
+            `CREATE INDEX IF NOT EXISTS actions_team ON actions (team, timestamp)`,
+        ],
+    },
+    {
+        version: 7,
+        description: 'Map snapshots',
+        // Portals, links and fields of the visible map from getEntities as JSON, the simulation can start from them
+        statements: [
+            `CREATE TABLE IF NOT EXISTS snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, area TEXT NOT NULL, timestamp INTEGER NOT NULL, data TEXT NOT NULL)`,
+            `CREATE INDEX IF NOT EXISTS snapshots_area ON snapshots (area, timestamp)`,
+        ],
+    },
+];
+
+// Raw plexts are parsed again in chunks, so big databases do not have to fit into memory
+const REPARSE_CHUNK_SIZE = 1000;
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Legacy rows only store the coordinates of the first portal seen with a name
+const COORDINATE_TOLERANCE = 1e-6;
+
+/**
+ * Get the parts of a time range that are not covered yet.
+ * @param {number} start - Milliseconds
+ * @param {number} end - Milliseconds
+ * @param {{start: number, end: number}[]} covered - Sorted ranges without overlaps
+ * @returns {{start: number, end: number}[]} Sorted oldest first
+ */
+const missingRanges = (start, end, covered) => {
+    const missing = [];
+    let cursor = start;
+    for (const range of covered) {
+        if (range.end < cursor) continue;
+        if (range.start > end) break;
+        if (range.start > cursor) missing.push({ start: cursor, end: range.start });
+        cursor = Math.max(cursor, range.end);
+    }
+    if (cursor < end) missing.push({ start: cursor, end });
+    return missing;
+}
+
+/**
+ * History Database
+ * Portals and COMM actions of the history simulation in SQLite. Portals are keyed by their Intel GUID.
+ * Older database files are migrated when they are opened.
+ * @constructor
+ * @param {string} dbPath - Path of the database file
+ */
+class HistoryDatabase {
+    constructor(dbPath, readOnly = false) {
+        this.dbPath = dbPath;
+        this.db = new sqlite3.Database(dbPath, readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+    }
+
+    /**
+     * Promisified db.run
+     * @returns {Promise<{changes: number, lastID: number}>}
+     */
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes, lastID: this.lastID });
+            });
+        });
+    }
+
+    /**
+     * Promisified db.all
+     * @returns {Promise<Object[]>}
+     */
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Promisified db.get
+     * @returns {Promise<Object|undefined>}
+     */
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    /**
+     * Run statements in a single transaction.
+     * @param {Function} callback - Async function, everything is rolled back if it throws
+     */
+    async transaction(callback) {
+        await this.run("BEGIN TRANSACTION");
+        try {
+            const result = await callback();
+            await this.run("COMMIT");
+            return result;
+        } catch (err) {
+            await this.run("ROLLBACK").catch(() => { });
+            throw err;
+        }
+    }
+
+    /**
+     * Bring the schema to the current version and fix legacy portals where possible.
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const existing = await this.#hasTable('portals');
+        const version = await this.getVersion();
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`${this.dbPath} has schema version ${version}, but this version of cheap-ice only supports up to ${SCHEMA_VERSION}. Please update cheap-ice.`);
+        }
+
+        for (const migration of MIGRATIONS.filter(m => m.version > version)) {
+            await this.transaction(async () => {
+                await this.run(`CREATE TABLE IF NOT EXISTS schema_version (version INTEGER PRIMARY KEY, description TEXT, applied_at INTEGER)`);
+                for (const statement of migration.statements) await this.run(statement);
+                await this.run(`INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)`, [migration.version, migration.description, Date.now()]);
+            });
+            if (existing) console.log(`History DB migrated to version ${migration.version}: ${migration.description}`);
+        }
+
+        await this.repairLegacyPortals();
+    }
+
+    /**
+     * Get the schema version of the database, 0 if it was never versioned.
+     * @returns {Promise<number>}
+     */
+    async getVersion() {
+        if (!(await this.#hasTable('schema_version'))) return 0;
+        const { version } = await this.get(`SELECT MAX(version) AS version FROM schema_version`);
+        return version || 0;
+    }
+
+    /**
+     * Schema version and row counts, without changing the database.
+     * @returns {Promise<{version: number, supportedVersion: number, tables: Object, legacyPortals: number|null, firstAction: number|null, lastAction: number|null}>}
+     */
+    async getInfo() {
+        const tables = {};
+        const names = await this.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`);
+        for (const { name } of names) {
+            const { count } = await this.get(`SELECT COUNT(*) AS count FROM "${name}"`);
+            tables[name] = count;
+        }
+
+        const columns = tables.portals !== undefined ? await this.all(`PRAGMA table_info(portals)`) : [];
+        const legacy = columns.some(c => c.name === 'legacy')
+            ? (await this.get(`SELECT COUNT(*) AS count FROM portals WHERE legacy = 1`)).count
+            : null;
+        const range = tables.actions !== undefined
+            ? await this.get(`SELECT MIN(timestamp) AS first, MAX(timestamp) AS last FROM actions`)
+            : {};
+
+        return {
+            version: await this.getVersion(),
+            supportedVersion: SCHEMA_VERSION,
+            tables,
+            legacyPortals: legacy,
+            firstAction: range.first ?? null,
+            lastAction: range.last ?? null,
+        };
+    }
+
+    #hasTable = async (name) => {
+        return !!(await this.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [name]));
+    }
+
+    /**
+     * Replace name keyed legacy portals with their GUID row, once a fetch has stored that portal with its GUID.
+     * A legacy portal is only replaced if exactly one GUID portal has its name and coordinates,
+     * otherwise its actions could belong to any of the portals with that name. Rows that can not be fixed are reported.
+     * @returns {Promise<{resolved: number, unresolved: Object[]}>} Unresolved rows with name, lat, lng, actions and reason
+     */
+    async repairLegacyPortals() {
+        const legacyPortals = await this.all(`SELECT * FROM portals WHERE legacy = 1`);
+        if (legacyPortals.length === 0) return { resolved: 0, unresolved: [] };
+
+        const unresolved = [];
+        let resolved = 0;
+
+        await this.transaction(async () => {
+            for (const legacy of legacyPortals) {
+                const candidates = await this.all(`SELECT * FROM portals WHERE legacy = 0 AND name = ?`, [legacy.name]);
+                const matches = candidates.filter(p =>
+                    Math.abs(p.lat - legacy.lat) <= COORDINATE_TOLERANCE && Math.abs(p.lng - legacy.lng) <= COORDINATE_TOLERANCE);
+
+                if (candidates.length === 1 && matches.length === 1) {
+                    const guid = matches[0].id;
+                    await this.run(`UPDATE actions SET portal_id = ? WHERE portal_id = ?`, [guid, legacy.id]);
+                    await this.run(`UPDATE actions SET target_portal_id = ? WHERE target_portal_id = ?`, [guid, legacy.id]);
+                    await this.run(`DELETE FROM portals WHERE id = ? AND legacy = 1`, [legacy.id]);
+                    resolved++;
+                    continue;
+                }
+
+                const { count } = await this.get(`SELECT COUNT(*) AS count FROM actions WHERE portal_id = ? OR target_portal_id = ?`, [legacy.id, legacy.id]);
+                if (count === 0) {
+                    // Every action was fetched again with GUIDs, the row is not used anymore
+                    await this.run(`DELETE FROM portals WHERE id = ? AND legacy = 1`, [legacy.id]);
+                    resolved++;
+                    continue;
+                }
+
+                let reason = 'no GUID portal with this name fetched yet';
+                if (candidates.length > 1) reason = `${candidates.length} portals with this name`;
+                else if (candidates.length === 1) reason = 'GUID portal with this name has other coordinates';
+                unresolved.push({ name: legacy.name, lat: legacy.lat, lng: legacy.lng, actions: count, reason });
+            }
+        });
+
+        this.#printRepairReport({ resolved, unresolved });
+        return { resolved, unresolved };
+    }
+
+    #printRepairReport = ({ resolved, unresolved }) => {
+        if (resolved > 0) console.log(`History DB: ${resolved} legacy portals now use their GUID.`);
+        if (unresolved.length === 0) return;
+
+        const actions = unresolved.reduce((sum, p) => sum + p.actions, 0);
+        console.warn(`History DB: ${unresolved.length} portals (${actions} actions) are still keyed by name and may mix up portals with the same name.`);
+        console.warn("Fetching their time range again stores them with GUIDs. Rows that could not be fixed:");
+        unresolved.slice(0, 20).forEach(p => console.warn(`  - ${p.name} (${p.lat}, ${p.lng}): ${p.actions} actions, ${p.reason}`));
+        if (unresolved.length > 20) console.warn(`  ... and ${unresolved.length - 20} more`);
+    }
+
+    /**
+     * Save parsed events and the raw plexts they came from.
+     * Portals are stored by GUID and updated if they changed.
+     * Actions that are already stored are updated, so fetching a time range again fixes legacy rows.
+     * @param {Object[]} parsedData - From the plext parser
+     * @param {Array} rawItems - Raw getPlexts items, including the ones the parser ignored
+     * @returns {Promise<void>}
+     */
+    async saveEvents(parsedData, rawItems = []) {
+        if (!parsedData.length && !rawItems.length) return;
+
+        await this.transaction(async () => {
+            for (const item of rawItems) {
+                await this.run(`INSERT OR REPLACE INTO raw_plexts (id, timestamp, data) VALUES (?, ?, ?)`, [item[0], item[1], JSON.stringify(item)]);
+            }
+            await this.#insertEvents(parsedData);
+        });
+    }
+
+    #insertEvents = async (parsedData) => {
+        for (const d of parsedData) {
+            for (const portal of [d.cords1, d.cords2]) {
+                if (!portal || !portal.id || portal.lat === null || portal.lat === undefined) continue;
+                await this.run(`INSERT INTO portals (id, lat, lng, name, address, team) VALUES (?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET lat = excluded.lat, lng = excluded.lng, name = excluded.name, address = excluded.address, team = excluded.team`,
+                    [portal.id, portal.lat, portal.lng, portal.name, portal.address, portal.team]);
+            }
+            await this.#upsertPlayer(d.player, d.team, d.timestamp);
+            const p1 = d.cords1 ? d.cords1.id : null;
+            const p2 = d.cords2 ? d.cords2.id : null;
+            await this.run(`INSERT INTO actions (id, timestamp, type, action, portal_id, target_portal_id, player, team, mu) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET type = excluded.type, action = excluded.action, portal_id = excluded.portal_id,
+                    target_portal_id = excluded.target_portal_id, player = excluded.player, team = excluded.team, mu = excluded.mu`,
+                [d.id, d.timestamp, d.type, d.action, p1, p2, d.player ?? null, d.team ?? null, d.mu ?? null]);
+        }
+    }
+
+    #upsertPlayer = async (name, team, timestamp) => {
+        if (!name) return;
+        // The latest action decides the faction, agents can switch sides
+        await this.run(`INSERT INTO players (name, team, first_seen, last_seen) VALUES (?, ?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET
+                team = CASE WHEN excluded.team IS NOT NULL AND excluded.last_seen >= players.last_seen THEN excluded.team ELSE players.team END,
+                first_seen = MIN(players.first_seen, excluded.first_seen),
+                last_seen = MAX(players.last_seen, excluded.last_seen)`,
+            [name, team ?? null, timestamp, timestamp]);
+    }
+
+    /**
+     * Save actions that have no raw plext, e.g. imported ones fetched by an older version. Stored actions are kept.
+     * Their agents are added to the players like the ones of saveEvents.
+     * @param {Object[]} actions - Rows with the columns of the actions table
+     * @returns {Promise<void>}
+     */
+    async saveActions(actions) {
+        if (!actions.length) return;
+
+        await this.transaction(async () => {
+            for (const a of actions) {
+                const { changes } = await this.run(`INSERT OR IGNORE INTO actions (id, timestamp, type, action, portal_id, target_portal_id, player, team, mu) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [a.id, a.timestamp, a.type, a.action, a.portal_id, a.target_portal_id, a.player ?? null, a.team ?? null, a.mu ?? null]);
+                if (changes > 0) await this.#upsertPlayer(a.player, a.team, a.timestamp);
+            }
+        });
+    }
+
+    /**
+     * List actions in a time window, e.g. to review an operation.
+     * @param {Object} filter
+     * @param {string} filter.player - Agent name
+     * @param {string} filter.team - 'RES', 'ENL' or 'MACHINA'
+     * @param {number} filter.from - Milliseconds, inclusive
+     * @param {number} filter.to - Milliseconds, inclusive
+     * @returns {Promise<Object[]>} Actions ordered by time, with portal and target portal names
+     */
+    async getActions({ player, team, from, to } = {}) {
+        const conditions = [];
+        const params = [];
+        if (player) { conditions.push(`a.player = ? COLLATE NOCASE`); params.push(player); }
+        if (team) { conditions.push(`a.team = ?`); params.push(team); }
+        if (from !== undefined && from !== null) { conditions.push(`a.timestamp >= ?`); params.push(from); }
+        if (to !== undefined && to !== null) { conditions.push(`a.timestamp <= ?`); params.push(to); }
+
+        return this.all(`SELECT a.*, p1.name AS portal_name, p2.name AS target_portal_name
+            FROM actions a
+            LEFT JOIN portals p1 ON p1.id = a.portal_id
+            LEFT JOIN portals p2 ON p2.id = a.target_portal_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY a.timestamp ASC`, params);
+    }
+
+    /**
+     * List the agents that were active in a time window, with their number of actions.
+     * @param {Object} filter
+     * @param {string} filter.team - 'RES', 'ENL' or 'MACHINA'
+     * @param {number} filter.from - Milliseconds, inclusive
+     * @param {number} filter.to - Milliseconds, inclusive
+     * @returns {Promise<Object[]>} Players with name, team, first_seen, last_seen and actions, most active first
+     */
+    async getPlayers({ team, from, to } = {}) {
+        const conditions = [`a.player IS NOT NULL`];
+        const params = [];
+        if (team) { conditions.push(`p.team = ?`); params.push(team); }
+        if (from !== undefined && from !== null) { conditions.push(`a.timestamp >= ?`); params.push(from); }
+        if (to !== undefined && to !== null) { conditions.push(`a.timestamp <= ?`); params.push(to); }
+
+        return this.all(`SELECT p.name, p.team, p.first_seen, p.last_seen, COUNT(a.id) AS actions
+            FROM players p JOIN actions a ON a.player = p.name
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY p.name
+            ORDER BY actions DESC, p.name ASC`, params);
+    }
+
+    /**
+     * Rebuild actions and portals from the stored raw plexts with the current parser.
+     * Actions fetched before raw plexts were stored have nothing to parse again and are kept.
+     * @param {Function} parse - Parser, gets a list of raw items and returns events
+     * @returns {Promise<{plexts: number, actions: number, kept: number}>}
+     */
+    async reparse(parse) {
+        return this.transaction(async () => {
+            await this.run(`DELETE FROM actions WHERE id IN (SELECT id FROM raw_plexts)`);
+            await this.run(`DELETE FROM players WHERE name NOT IN (SELECT player FROM actions WHERE player IS NOT NULL)`);
+            await this.run(`DELETE FROM portals WHERE legacy = 0 AND id NOT IN (
+                SELECT portal_id FROM actions WHERE portal_id IS NOT NULL
+                UNION SELECT target_portal_id FROM actions WHERE target_portal_id IS NOT NULL)`);
+            const { kept } = await this.get(`SELECT COUNT(*) AS kept FROM actions`);
+
+            let plexts = 0;
+            let actions = 0;
+            for (let offset = 0; ; offset += REPARSE_CHUNK_SIZE) {
+                const rows = await this.all(`SELECT data FROM raw_plexts ORDER BY timestamp, id LIMIT ? OFFSET ?`, [REPARSE_CHUNK_SIZE, offset]);
+                if (rows.length === 0) break;
+
+                const parsed = parse(rows.map(row => JSON.parse(row.data)));
+                await this.#insertEvents(parsed);
+                plexts += rows.length;
+                actions += parsed.length;
+            }
+            return { plexts, actions, kept };
+        });
+    }
+
+    /**
+     * Get the time ranges already fetched for an area.
+     * @param {string} area - Identifies the fetched map area, e.g. the Intel URL
+     * @returns {Promise<{start: number, end: number}[]>} Sorted oldest first, without overlaps
+     */
+    async getFetchedRanges(area) {
+        return this.all(`SELECT start_ms AS start, end_ms AS end FROM fetched_ranges WHERE area = ? ORDER BY start_ms`, [area]);
+    }
+
+    /**
+     * Mark a time range of an area as fetched. Overlapping and touching ranges are merged into one.
+     * Called after every page of a fetch, so a run that was cut short can resume where it stopped.
+     * @param {string} area
+     * @param {number} start - Milliseconds
+     * @param {number} end - Milliseconds
+     * @returns {Promise<void>}
+     */
+    async addFetchedRange(area, start, end) {
+        await this.transaction(async () => {
+            const overlapping = await this.get(`SELECT MIN(start_ms) AS start, MAX(end_ms) AS end FROM fetched_ranges WHERE area = ? AND start_ms <= ? AND end_ms >= ?`, [area, end, start]);
+            const mergedStart = Math.min(start, overlapping.start ?? start);
+            const mergedEnd = Math.max(end, overlapping.end ?? end);
+            await this.run(`DELETE FROM fetched_ranges WHERE area = ? AND start_ms <= ? AND end_ms >= ?`, [area, end, start]);
+            await this.run(`INSERT INTO fetched_ranges (area, start_ms, end_ms) VALUES (?, ?, ?)`, [area, mergedStart, mergedEnd]);
+        });
+    }
+
+    /**
+     * Store a map snapshot of an area.
+     * @param {string} area - Identifies the map area, e.g. the Intel URL
+     * @param {{timestamp: number, portals: Object[], links: Object[], fields: Object[]}} snapshot
+     * @returns {Promise<number>} Snapshot id
+     */
+    async saveSnapshot(area, snapshot) {
+        const { lastID } = await this.run(`INSERT INTO snapshots (area, timestamp, data) VALUES (?, ?, ?)`, [area, snapshot.timestamp, JSON.stringify(snapshot)]);
+        return lastID;
+    }
+
+    /**
+     * Get the snapshot of an area closest to a point in time: the latest one at or before it, otherwise the earliest one after it.
+     * @param {string} area
+     * @param {number} time - Milliseconds
+     * @returns {Promise<Object|null>} The stored snapshot, null if the area has none
+     */
+    async getSnapshotNear(area, time) {
+        const row = await this.get(`SELECT data FROM snapshots WHERE area = ? AND timestamp <= ? ORDER BY timestamp DESC LIMIT 1`, [area, time])
+            || await this.get(`SELECT data FROM snapshots WHERE area = ? AND timestamp > ? ORDER BY timestamp ASC LIMIT 1`, [area, time]);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Close the database.
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            this.db.close(err => err ? reject(err) : resolve());
+        });
+    }
+}
+
+module.exports = { HistoryDatabase, SCHEMA_VERSION, missingRanges };
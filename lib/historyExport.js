@@ -0,0 +1,300 @@
+const IngressStateSimulator = require('./ingressSimulator.js');
+const { resolveSnapshotOptions } = require('./entitySnapshot.js');
+
+const EXPORT_KINDS = ['portals', 'actions', 'players', 'snapshot'];
+const EXPORT_FORMATS = ['geojson', 'csv', 'jsonl'];
+
+// Imported actions are saved in chunks, so a big import does not end up in one huge transaction
+const IMPORT_CHUNK_SIZE = 1000;
+
+// Ids per `WHERE id IN (...)` query, below SQLite's limit of bound parameters
+const QUERY_CHUNK_SIZE = 500;
+
+const CSV_COLUMNS = {
+    portals: ['id', 'name', 'address', 'lat', 'lng', 'team', 'legacy'],
+    actions: ['id', 'timestamp', 'time', 'type', 'action', 'team', 'player', 'mu', 'portal_id', 'portal_name', 'target_portal_id', 'target_portal_name'],
+    players: ['name', 'team', 'first_seen', 'last_seen', 'actions'],
+    snapshot: ['time', 'kind', 'id', 'team', 'lat', 'lng', 'resonators', 'confidence', 'p1', 'p2', 'p3', 'area_km2'],
+};
+
+/**
+ * Quote a CSV value if needed.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsv = (columns, rows) => [columns.join(','), ...rows.map(row => columns.map(c => csvValue(row[c])).join(','))].join('\n') + '\n';
+
+const toJsonLines = (records) => records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+
+const toFeatureCollection = (features) => JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n';
+
+const point = (p) => ({ type: 'Point', coordinates: [p.lng, p.lat] });
+
+const portalRecord = (p) => ({ id: p.id, name: p.name, address: p.address, lat: p.lat, lng: p.lng, team: p.team, legacy: p.legacy === 1 });
+
+/**
+ * Rows of a table by id, queried in chunks.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {string} table
+ * @param {string} columns - e.g. 'id, data'
+ * @param {string[]} ids
+ * @returns {Promise<Object[]>}
+ */
+const selectByIds = async (db, table, columns, ids) => {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += QUERY_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + QUERY_CHUNK_SIZE);
+        rows.push(...await db.all(`SELECT ${columns} FROM ${table} WHERE id IN (${chunk.map(() => '?').join(', ')})`, chunk));
+    }
+    return rows;
+}
+
+/**
+ * Export the portals.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {string} format - 'geojson', 'csv' or 'jsonl'
+ * @returns {Promise<string>}
+ */
+const exportPortals = async (db, format) => {
+    const portals = (await db.all(`SELECT * FROM portals ORDER BY name, id`)).map(portalRecord);
+
+    if (format === 'geojson') {
+        return toFeatureCollection(portals.map(p => ({ type: 'Feature', id: p.id, geometry: point(p), properties: p })));
+    }
+    if (format === 'csv') return toCsv(CSV_COLUMNS.portals, portals);
+    return toJsonLines(portals.map(p => ({ kind: 'portal', ...p })));
+}
+
+/**
+ * Export the actions of a time window, optionally of one agent or faction.
+ * JSON Lines also contain the raw plexts and the portals of the actions, so they can be imported into another DB.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {string} format - 'geojson', 'csv' or 'jsonl'
+ * @param {{player: string, team: string, from: number, to: number}} filter - See HistoryDatabase.getActions, all optional
+ * @returns {Promise<string>}
+ */
+const exportActions = async (db, format, { player, team, from, to } = {}) => {
+    const actions = (await db.getActions({ player, team, from, to })).map(a => ({ ...a, time: new Date(a.timestamp).toISOString() }));
+
+    if (format === 'csv') return toCsv(CSV_COLUMNS.actions, actions);
+
+    const ids = new Set(actions.flatMap(a => [a.portal_id, a.target_portal_id]).filter(Boolean));
+    const portals = new Map((await db.all(`SELECT * FROM portals`)).filter(p => ids.has(p.id)).map(p => [p.id, portalRecord(p)]));
+
+    if (format === 'geojson') {
+        const features = actions.map(a => {
+            const p1 = portals.get(a.portal_id);
+            const p2 = portals.get(a.target_portal_id);
+            if (!p1) return null;
+            const geometry = p2
+                ? { type: 'LineString', coordinates: [[p1.lng, p1.lat], [p2.lng, p2.lat]] }
+                : point(p1);
+            return { type: 'Feature', id: a.id, geometry, properties: a };
+        }).filter(Boolean);
+        return toFeatureCollection(features);
+    }
+
+    const raw = new Map((await selectByIds(db, 'raw_plexts', 'id, data', actions.map(a => a.id))).map(row => [row.id, JSON.parse(row.data)]));
+    return toJsonLines([
+        ...[...portals.values()].map(p => ({ kind: 'portal', ...p })),
+        ...actions.map(a => ({ kind: 'action', ...a, raw: raw.get(a.id) || null })),
+    ]);
+}
+
+/**
+ * Export the agents active in a time window with their number of actions, most active first.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {string} format - 'csv' or 'jsonl', agents have no location for GeoJSON
+ * @param {{team: string, from: number, to: number}} filter - See HistoryDatabase.getPlayers, all optional
+ * @returns {Promise<string>}
+ */
+const exportPlayers = async (db, format, { team, from, to } = {}) => {
+    if (format === 'geojson') throw new Error("Players have no location, export them as csv or jsonl.");
+    const players = (await db.getPlayers({ team, from, to })).map(p => ({
+        ...p,
+        first_seen: new Date(p.first_seen).toISOString(),
+        last_seen: new Date(p.last_seen).toISOString(),
+    }));
+
+    if (format === 'csv') return toCsv(CSV_COLUMNS.players, players);
+    return toJsonLines(players.map(p => ({ kind: 'player', ...p })));
+}
+
+/**
+ * Export the simulated map state at several points in time.
+ * The simulation starts like the rendered one, from the stored map snapshot of the area closest to the start.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {string} format - 'geojson', 'csv' or 'jsonl'
+ * @param {number[]} times - Milliseconds
+ * @param {Object} simulation
+ * @param {string} simulation.area - Intel URL of the stored map snapshots, none are used without it
+ * @param {number} simulation.start - Start of the simulation, default is the first of the times
+ * @param {Object} simulation.snapshot - historySnapshot options, snapshots are not used if disabled
+ * @param {Object} simulation.decay - historyDecay options
+ * @returns {Promise<string>}
+ */
+const exportSnapshots = async (db, format, times, { area, start, snapshot, decay } = {}) => {
+    const sortedTimes = [...times].sort((a, b) => a - b);
+    const portals = await db.all(`SELECT * FROM portals`);
+    const actions = await db.all(`SELECT * FROM actions ORDER BY timestamp ASC`);
+    const simulator = new IngressStateSimulator(portals, { decay });
+
+    const startTime = start ?? sortedTimes[0];
+    const stored = area && resolveSnapshotOptions(snapshot).enabled ? await db.getSnapshotNear(area, startTime) : null;
+    const seededAt = stored ? simulator.seedFromSnapshot(stored, actions, startTime).seededAt : null;
+    const replayActions = seededAt === null ? actions : actions.filter(a => a.timestamp > seededAt);
+    simulator.indexActions(replayActions);
+
+    const rows = [];
+    let actionIdx = 0;
+    for (const time of sortedTimes) {
+        while (actionIdx < replayActions.length && replayActions[actionIdx].timestamp <= time) {
+            simulator.processAction(replayActions[actionIdx]);
+            actionIdx++;
+        }
+        simulator.advanceTime(time);
+
+        const state = simulator.getCurrentState();
+        const byId = new Map(state.portals.map(p => [p.id, p]));
+        const iso = new Date(time).toISOString();
+
+        state.portals.forEach(p => rows.push({ time: iso, kind: 'portal', id: p.id, team: p.team, lat: p.lat, lng: p.lng, resonators: p.resonators, confidence: p.confidence, coordinates: [p] }));
+        state.links.forEach(l => {
+            const ends = [byId.get(l.p1), byId.get(l.p2)];
+            if (ends.includes(undefined)) return;
+            rows.push({ time: iso, kind: 'link', id: `${l.p1}|${l.p2}`, team: l.team || ends[0].team, p1: l.p1, p2: l.p2, coordinates: ends });
+        });
+        state.fields.forEach(f => {
+            const corners = [byId.get(f.p1), byId.get(f.p2), byId.get(f.p3)];
+            if (corners.includes(undefined)) return;
+            const area = f.areaKm2 === null ? null : Math.round(f.areaKm2 * 1000) / 1000;
+            rows.push({ time: iso, kind: 'field', id: `${f.p1}|${f.p2}|${f.p3}`, team: f.team, p1: f.p1, p2: f.p2, p3: f.p3, area_km2: area, coordinates: corners });
+        });
+    }
+
+    if (format === 'csv') return toCsv(CSV_COLUMNS.snapshot, rows);
+
+    if (format === 'geojson') {
+        const geometries = {
+            portal: ([p]) => point(p),
+            link: (ends) => ({ type: 'LineString', coordinates: ends.map(p => [p.lng, p.lat]) }),
+            field: (corners) => ({ type: 'Polygon', coordinates: [[...corners, corners[0]].map(p => [p.lng, p.lat])] }),
+        };
+        return toFeatureCollection(rows.map(({ coordinates, ...properties }) => ({
+            type: 'Feature',
+            geometry: geometries[properties.kind](coordinates),
+            properties,
+        })));
+    }
+
+    // Own kinds, so a snapshot is never mistaken for portals or actions of the DB
+    return toJsonLines(rows.map(({ coordinates, kind, ...record }) => ({ kind: `snapshot_${kind}`, ...record })));
+}
+
+/**
+ * Export portals, actions, players or snapshots.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {Object} options
+ * @param {string} options.kind - 'portals', 'actions', 'players' or 'snapshot'
+ * @param {string} options.format - 'geojson', 'csv' or 'jsonl'
+ * @param {number} options.from - Actions and players: start of the time window
+ * @param {number} options.to - Actions and players: end of the time window
+ * @param {string} options.player - Actions: only this agent
+ * @param {string} options.team - Actions and players: only this faction
+ * @param {number[]} options.times - Snapshot: points in time
+ * @param {Object} options.simulation - Snapshot: { area, start, snapshot, decay }, see exportSnapshots
+ * @returns {Promise<string>}
+ */
+const exportHistory = async (db, { kind, format = 'jsonl', from, to, player, team, times = [], simulation = {} }) => {
+    if (!EXPORT_KINDS.includes(kind)) throw new Error(`Unknown export '${kind}'. Use one of: ${EXPORT_KINDS.join(', ')}`);
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format '${format}'. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+
+    if (kind === 'portals') return exportPortals(db, format);
+    if (kind === 'actions') return exportActions(db, format, { player, team, from, to });
+    if (kind === 'players') return exportPlayers(db, format, { team, from, to });
+    if (times.length === 0) throw new Error("A snapshot export needs at least one point in time.");
+    return exportSnapshots(db, format, times, simulation);
+}
+
+/**
+ * Merge a JSON Lines export (portals or actions) into a DB. Rows that already exist are kept.
+ * Snapshot exports are rejected, their rows are simulated state and not history.
+ * Actions with a raw plext are parsed with the current parser, others are copied as they are.
+ * Portals still keyed by name are skipped, they could belong to any portal with that name.
+ * @param {import('./historyDB.js').HistoryDatabase} db
+ * @param {string} content - File content
+ * @param {Function} parse - Plext parser
+ * @returns {Promise<{portals: number, actions: number, skipped: number}>} Number of new portals and actions, skipped records
+ */
+const importHistory = async (db, content, parse) => {
+    if (/^\s*\{\s*"type"\s*:\s*"FeatureCollection"/.test(content)) {
+        throw new Error("GeoJSON exports can not be imported, use a JSON Lines export (--format jsonl).");
+    }
+    const lines = content.split('\n').filter(line => line.trim());
+
+    const portals = [];
+    const actions = [];
+    const legacyIds = new Set();
+    let skipped = 0;
+    lines.forEach((line, index) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            throw new Error(`Line ${index + 1} is not JSON. Import expects a JSON Lines export (--format jsonl).`);
+        }
+        if (typeof record.kind === 'string' && record.kind.startsWith('snapshot_')) {
+            throw new Error("Snapshot exports can not be imported, use a portals or actions export.");
+        }
+        if (record.kind === 'portal' && record.legacy) legacyIds.add(record.id);
+        if (record.kind === 'portal' && !record.legacy) portals.push(record);
+        else if (record.kind === 'action') actions.push(record);
+        else skipped++;
+    });
+
+    // Without a raw plext, actions on name keyed portals can not be mapped to the right portal
+    const importable = actions.filter(a => a.raw || !(legacyIds.has(a.portal_id) || legacyIds.has(a.target_portal_id)));
+    skipped += actions.length - importable.length;
+
+    const count = async (table) => (await db.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    const portalsBefore = await count('portals');
+    const actionsBefore = await count('actions');
+
+    await db.transaction(async () => {
+        for (const p of portals) {
+            await db.run(`INSERT OR IGNORE INTO portals (id, lat, lng, name, address, team) VALUES (?, ?, ?, ?, ?, ?)`,
+                [p.id, p.lat, p.lng, p.name, p.address, p.team]);
+        }
+    });
+
+    for (let i = 0; i < importable.length; i += IMPORT_CHUNK_SIZE) {
+        const slice = importable.slice(i, i + IMPORT_CHUNK_SIZE);
+        // Stored actions are kept as they are, saveEvents would overwrite them
+        const known = new Set((await selectByIds(db, 'actions', 'id', slice.map(a => a.id))).map(row => row.id));
+        const chunk = slice.filter(a => !known.has(a.id));
+
+        const raw = chunk.filter(a => a.raw).map(a => a.raw);
+        await db.saveEvents(parse(raw), raw);
+
+        await db.saveActions(chunk.filter(a => !a.raw));
+    }
+
+    return {
+        portals: await count('portals') - portalsBefore,
+        actions: await count('actions') - actionsBefore,
+        skipped,
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_KINDS,
+    exportHistory,
+    importHistory
+};
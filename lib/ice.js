@@ -2,11 +2,34 @@ const puppeteer = require('puppeteer-extra')
 const StealthPlugin = require('puppeteer-extra-plugin-stealth')
 const fs = require('node:fs');
 const path = require('node:path');
-const sqlite3 = require('sqlite3').verbose();
 
 const IngressStateSimulator = require('./ingressSimulator.js');
+const { HistoryDatabase, missingRanges } = require('./historyDB.js');
+const { parsePlexts } = require('./plextParser.js');
+const { PlextFetcher, PlextFetchError, isLoginPage, loadPlextPayload, requestPlexts } = require('./plextFetcher.js');
+const { captureEntitySnapshot, resolveSnapshotOptions } = require('./entitySnapshot.js');
+const { CaptureScheduler } = require('./scheduler.js');
+const { CaptureManifest } = require('./manifest.js');
+const { resolveProfile } = require('./pageProfiles.js');
+const { OVERLAY_ID, applyOverlay, buildOverlayCss, buildOverlayText, getOverlayBounds, resolveOverlay } = require('./overlay.js');
+const { changedRatio, createThumbnail, resolveDuplicateOptions } = require('./frameDiff.js');
+const { CommRecorder, resolveCommOptions } = require('./commRecorder.js');
+const { applyFilters, filterMismatches, readFilterState, resolveFilters } = require('./intelFilters.js');
+
+const { getuserInput } = require('./utils.js');
+const { UsageError } = require('./cli.js');
+
+const LOGIN_PAGE_TEXT = "Welcome to Ingress.";
 
-const { getuserInput, parseE6 } = require('./utils.js');
+/**
+ * Thrown when Intel needs a human to log in again, which can not be done automatically.
+ */
+class LoginRequiredError extends Error {
+    constructor(message = 'Intel session expired. Run once without flags and log in again, the session is kept in puppeteer-data.') {
+        super(message);
+        this.name = 'LoginRequiredError';
+    }
+}
 
 /**
  * Ingress Ice Replica
@@ -18,91 +41,151 @@ const { getuserInput, parseE6 } = require('./utils.js');
  * @param {number} numberOfScreenshots - The total number of screenshots to take. Default is 60.
  * @param {number} screenshot_w - The width of the screenshot in pixels. Default is 1920.
  * @param {number} screenshot_h - The height of the screenshot in pixels. Default is 1080.
+ * @param {Object} options - Additional options.
+ * @param {boolean} options.interactive - Allow console prompts. Default is true.
+ * @param {Array<{name: string, url: string, width?: number, height?: number, cleanupProfile?: string}>} options.targets - Capture several areas in one session instead of `url`.
+ * @param {string} options.targetMode - 'pages' (one page per target) or 'round-robin' (one page for all targets). Default is 'pages'.
+ * @param {string} options.missedFramePolicy - What to do if a capture overruns its slot: 'skip', 'immediate' or 'stretch'. Default is 'skip'.
+ * @param {Object} options.recovery - When to give up recovering from crashes, timeouts and lost sessions.
+ * @param {number} options.recovery.maxConsecutiveFailures - Give up after this many failed slots in a row. Default is 5.
+ * @param {number} options.recovery.maxRestarts - Give up after this many browser restarts in total, 0 for no limit. Default is 50.
+ * @param {number} options.recovery.retryDelaySeconds - Wait before restarting the browser. Default is 10.
+ * @param {number} options.recovery.navigationTimeoutSeconds - Timeout for page loads. Default is 60.
+ * @param {Object} options.readiness - How to wait for Intel to finish drawing the map data.
+ * @param {number} options.readiness.timeoutSeconds - Per frame timeout for the map data. Default is 45.
+ * @param {number} options.readiness.retries - Reloads after a timeout before capturing anyway. Default is 1.
+ * @param {number} options.readiness.quietMs - Time without loading activity before the map counts as ready. Default is 1000.
+ * @param {string} options.cleanupProfile - Name of the cleanup profile for all targets. Default is 'clean map'.
+ * @param {Object} options.cleanupProfiles - Custom cleanup profiles by name, see lib/pageProfiles.js.
+ * @param {string} options.projectDir - Directory to resolve profile files against. Default is the working directory.
+ * @param {Object} options.overlay - Timestamp & caption overlay, see lib/overlay.js. Live captures only show it with `enabled: true`.
+ * @param {Object} options.intelFilters - Intel portal level & layer filters to apply before every frame, see lib/intelFilters.js.
+ * @param {Object} options.duplicates - Compare consecutive frames: { policy: 'keep'|'drop'|'mark', threshold, pixelTolerance }, see lib/frameDiff.js.
+ * @param {Object} options.commRecording - Record COMM into the history DB while capturing: { enabled, intervalSeconds, url, finalPollSeconds }, see lib/commRecorder.js.
+ * @param {Object} options.fetch - getPlexts retry limits, see lib/plextFetcher.js.
  */
 class IngressIceReplica {
-    constructor(url, screenshotPath, intervalSeconds = 10, numberOfScreenshots = 60, screenshot_w = 1920, screenshot_h = 1080) {
+    constructor(url, screenshotPath, intervalSeconds = 10, numberOfScreenshots = 60, screenshot_w = 1920, screenshot_h = 1080, options = {}) {
         this.url = url;
         this.screenshotPath = screenshotPath;
 
-        if (!fs.existsSync(screenshotPath)) {
-            fs.mkdirSync(screenshotPath, { recursive: true });
-        }
-
         // Set Config
         this.screenshot_w = screenshot_w;
         this.screenshot_h = screenshot_h;
         this.intervalSeconds = intervalSeconds;
         this.numberOfScreenshots = numberOfScreenshots;
+        this.interactive = options.interactive !== false;
+        this.targets = IngressIceReplica.resolveTargets(url, screenshotPath, screenshot_w, screenshot_h, options.targets);
+        this.targetMode = options.targetMode || 'pages';
+        this.missedFramePolicy = options.missedFramePolicy || 'skip';
+        this.recovery = {
+            maxConsecutiveFailures: 5,
+            maxRestarts: 50,
+            retryDelaySeconds: 10,
+            navigationTimeoutSeconds: 60,
+            ...(options.recovery || {}),
+        };
+        this.overlay = options.overlay && options.overlay.enabled ? resolveOverlay(options.overlay) : null;
+        this.filters = resolveFilters(options.intelFilters);
+        this.duplicates = resolveDuplicateOptions(options.duplicates);
+        this.commRecording = resolveCommOptions(options.commRecording);
+        this.fetchOptions = options.fetch || {};
+        this.readiness = {
+            timeoutSeconds: 45,
+            retries: 1,
+            quietMs: 1000,
+            ...(options.readiness || {}),
+        };
+
+        if (!['pages', 'round-robin'].includes(this.targetMode)) {
+            throw new UsageError(`Unknown target mode '${this.targetMode}'. Use 'pages' or 'round-robin'.`);
+        }
+
+        const session = Date.now();
+        this.targets.forEach(target => {
+            if (!fs.existsSync(target.screenshotPath)) {
+                fs.mkdirSync(target.screenshotPath, { recursive: true });
+            }
+            target.manifest = new CaptureManifest(target.screenshotPath, session);
+            target.profile = resolveProfile(target.cleanupProfile || options.cleanupProfile, options.cleanupProfiles, options.projectDir);
+        });
 
         // Internal
-        this.blocking = false;
         this.stopRequested = false;
+        this.headless = !this.interactive;
+        this.crashedPage = false;
+        this.entityTrackers = new WeakMap();
+        this.commRecorder = null;
 
         // Make sure we can use google login and cookies
         puppeteer.use(StealthPlugin())
     }
 
+    /**
+     * Build the list of capture targets. Without a target list, the single url is captured into screenshotPath.
+     * Named targets get their own subfolder in screenshotPath.
+     * @param {string} url
+     * @param {string} screenshotPath
+     * @param {number} screenshot_w - Default width for targets without one
+     * @param {number} screenshot_h - Default height for targets without one
+     * @param {Array<{name: string, url: string, width?: number, height?: number, cleanupProfile?: string}>} targets
+     * @returns {Array<{name: string|null, url: string, width: number, height: number, cleanupProfile?: string, screenshotPath: string}>}
+     */
+    static resolveTargets(url, screenshotPath, screenshot_w, screenshot_h, targets) {
+        if (!Array.isArray(targets) || targets.length === 0) {
+            return [{ name: null, url, width: screenshot_w, height: screenshot_h, screenshotPath }];
+        }
+
+        const names = new Set();
+        return targets.map(target => {
+            if (!target.name || !target.url) throw new UsageError("Every target needs a 'name' and an 'url'.");
+            if (!/^[\w.-]+$/.test(target.name)) throw new UsageError(`Target name '${target.name}' may only contain letters, numbers, '.', '_' and '-'.`);
+            if (names.has(target.name)) throw new UsageError(`Target name '${target.name}' is used twice.`);
+            names.add(target.name);
+
+            return {
+                name: target.name,
+                url: target.url,
+                width: target.width || screenshot_w,
+                height: target.height || screenshot_h,
+                cleanupProfile: target.cleanupProfile,
+                screenshotPath: path.join(screenshotPath, target.name),
+            };
+        });
+    }
+
     /**
      * Search for a string on the current page.
      * @param {String} searchString 
      * @returns {Promise<Boolean>}
      */
-    #searchStringOnPage = async (searchString) => {
-        const pageContent = await this.page.content();
+    #searchStringOnPage = async (searchString, page = this.page) => {
+        const pageContent = await page.content();
         return pageContent.includes(searchString);
     }
 
     /**
-     * Hide unwanted elements from the page before taking a screenshot.
+     * Apply the cleanup profile of a target before taking a screenshot.
+     * Hides unwanted elements, adds the profile CSS and runs the profile scripts.
+     * @param {Object} target
      * @returns {Promise<void>}
      */
-    #adjustPage = async () => {
-        await this.page.addStyleTag({
-            content: `
-        /* Reset Dashboard to Fullscreen */
-        #dashboard_container {
-            position: fixed !important;
-            top: 0 !important;
-            left: 0 !important;
-            width: 100vw !important;
-            height: 100vh !important;
-            z-index: 9999 !important;
-            background: #000 !important;
-        }
-        #map_canvas {
-            width: 100% !important;
-            height: 100% !important;
-        }
+    #adjustPage = async (target) => {
+        const { page, profile } = target;
+        await page.addStyleTag({ content: profile.css });
 
-        /* Remote unwanted UI Elements */
-        #header, #chat, #comm, #game_stats, #player_stats, 
-        #geotools, #filters_container, #portal_filter_header, 
-        #tm_button, #shard_jumps_link, #updatestatus, 
-        .img_snap {
-            display: none !important;
-        }
-
-        .gm-style-mtc,              /* Map/Satellite Toggle */
-        .gm-style-mtc-bbw,          /* Map/Satellite Toggle Container */
-        .gm-bundled-control,        /* Zoom & Pegman Cluster */
-        .gm-fullscreen-control,     /* Fullscreen Button */
-        .gm-svpc,                   /* Street View Pegman Control */
-        .gmp-internal-camera-control /* 3D Camera/Tilt controls */
-        {
-            display: none !important;
-        }
-
-        /* Keep Google Maps Copyright */
-        .gm-style-cc {
-            display: block !important; 
-        }
-        a[href*="google.com/maps"] img {
-            display: block !important;
+        for (const script of profile.scripts) {
+            try {
+                // Each script in its own function, so it can use await and return early without skipping the others
+                await page.evaluate(`(async () => {\n${script.source}\n})()`);
+            } catch (error) {
+                const warning = `Script ${script.file} of cleanup profile '${profile.name}' failed: ${error.message}`;
+                target.frame.warnings.push(warning);
+                console.warn(warning);
+            }
         }
-        `
-        });
 
-        await this.page.evaluate(() => {
+        await page.evaluate(() => {
             // Force a resize event
             window.dispatchEvent(new Event('resize'));
         });
@@ -141,27 +224,104 @@ class IngressIceReplica {
 
     /**
      * Start the browser instance.
+     * Non-interactive runs are headless by default, as there might be no display.
      * @param {Boolean} headless 
      */
-    async startBrowser(headless = false) {
+    async startBrowser(headless = !this.interactive) {
         puppeteer.use(StealthPlugin())
         this.browser = await puppeteer.launch({
             headless: process.env.DEBUG == 'true' ? false : headless,
             userDataDir: path.join(__dirname, '..', 'puppeteer-data'),
         });
-        this.page = await this.browser.newPage();
+        this.page = await this.#newPage();
         await this.page.setViewport({
             width: parseInt(this.screenshot_w, 10) || 1920,
             height: parseInt(this.screenshot_h, 10) || 1080,
         });
     }
 
+    /**
+     * Open a new page that reports crashes and uses the configured navigation timeout.
+     * @returns {Promise<import('puppeteer').Page>}
+     */
+    #newPage = async () => {
+        const page = await this.browser.newPage();
+        page.setDefaultNavigationTimeout(this.recovery.navigationTimeoutSeconds * 1000);
+        page.on('error', (error) => {
+            console.error('Page crashed:', error.message);
+            this.crashedPage = true;
+        });
+        this.#trackEntityRequests(page);
+        return page;
+    }
+
+    /**
+     * Keep track of the map data requests (/r/getEntities) of a page.
+     * @param {import('puppeteer').Page} page
+     */
+    #trackEntityRequests = (page) => {
+        const tracker = { pending: new Set(), seen: 0, lastActivity: 0 };
+        const isEntityRequest = (request) => request.url().includes('/r/getEntities');
+        const onDone = (request) => {
+            if (tracker.pending.delete(request)) tracker.lastActivity = Date.now();
+        };
+
+        page.on('request', (request) => {
+            if (!isEntityRequest(request)) return;
+            tracker.pending.add(request);
+            tracker.seen++;
+            tracker.lastActivity = Date.now();
+        });
+        page.on('requestfinished', onDone);
+        page.on('requestfailed', onDone);
+        this.entityTrackers.set(page, tracker);
+    }
+
+    /**
+     * Wait until Intel finished loading the map data.
+     * Ready means Intel's own loading indicator (#updatestatus) is idle, at least one entity request was made
+     * and all of them finished, and nothing changed for readiness.quietMs.
+     * @param {import('puppeteer').Page} page
+     * @returns {Promise<Boolean>} False if the timeout was reached
+     */
+    #waitForMapData = async (page) => {
+        const tracker = this.entityTrackers.get(page);
+        const deadline = Date.now() + this.readiness.timeoutSeconds * 1000;
+        let idleSince = null;
+
+        while (Date.now() < deadline) {
+            const statusLoading = await page.evaluate(() => {
+                const status = document.querySelector('#updatestatus');
+                if (!status) return true;
+                const loadingMsg = document.querySelector('#loading_msg');
+                if (loadingMsg && getComputedStyle(loadingMsg).display !== 'none' && loadingMsg.textContent.trim()) return true;
+                return /loading/i.test(status.textContent);
+            });
+            const requestsDone = tracker ? tracker.seen > 0 && tracker.pending.size === 0 : true;
+
+            if (!statusLoading && requestsDone) {
+                if (idleSince === null) idleSince = Date.now();
+                const lastChange = Math.max(idleSince, tracker ? tracker.lastActivity : 0);
+                if (Date.now() - lastChange >= this.readiness.quietMs) return true;
+            } else {
+                idleSince = null;
+            }
+
+            await new Promise(r => setTimeout(r, 250));
+        }
+        return false;
+    }
+
     /**
      * Close the browser instance.
      * @returns {Promise<void>}
      */
     closeBrowser = async () => {
-        await this.browser.close();
+        if (!this.browser) return;
+        const browser = this.browser;
+        this.browser = null;
+        // A crashed browser can not be closed cleanly anymore
+        await browser.close().catch((error) => console.warn('Could not close browser:', error.message));
     }
 
     /**
@@ -172,9 +332,8 @@ class IngressIceReplica {
         let loggedIn = false;
         await this.page.goto('https://intel.ingress.com', { waitUntil: 'networkidle0' });
 
-        const searchString = "Welcome to Ingress.";
-
-        if (await this.#searchStringOnPage(searchString)) {
+        if (await this.#searchStringOnPage(LOGIN_PAGE_TEXT)) {
+            if (!this.interactive) throw new LoginRequiredError('Not logged in to Intel. Run once without flags to log in, the session is kept in puppeteer-data.');
             await getuserInput('Press enter after you have logged in.');
         } else {
             console.log('Already logged in.');
@@ -187,66 +346,376 @@ class IngressIceReplica {
         return loggedIn;
     }
 
-    refreshAndTakeScreenshot = async (intervalSeconds, numberOfScreenshots) => {
-        return new Promise(async (resolve, reject) => {
-            this.stopRequested = false;
-            let counter = 0;
+    /**
+     * Bring a target up to date, either by reloading its own page or by navigating the shared page to it.
+     * @param {Object} target
+     * @returns {Promise<void>}
+     */
+    #loadTarget = async (target) => {
+        const loadStart = Date.now();
+        await target.page.setViewport({ width: target.width || 1080, height: target.height || 1920 });
+
+        for (let attempt = 0; attempt <= this.readiness.retries; attempt++) {
+            const tracker = this.entityTrackers.get(target.page);
+            if (tracker) {
+                tracker.pending.clear();
+                tracker.seen = 0;
+            }
+
+            if (this.targetMode === 'round-robin' && attempt === 0) {
+                await target.page.goto(target.url, { waitUntil: 'domcontentloaded' });
+            } else {
+                await target.page.reload({ waitUntil: 'domcontentloaded' });
+            }
+
+            if (await this.#searchStringOnPage(LOGIN_PAGE_TEXT, target.page)) {
+                throw new Error('Intel shows the login page, the session was lost.');
+            }
+
+            if (await this.#waitForMapData(target.page)) break;
+
+            if (attempt < this.readiness.retries) {
+                target.frame.retries++;
+                console.warn(`Map data${target.name ? ` of ${target.name}` : ''} not ready after ${this.readiness.timeoutSeconds}s, reloading...`);
+            } else {
+                const warning = `Map data not ready after ${this.readiness.timeoutSeconds}s, captured anyway.`;
+                target.frame.warnings.push(warning);
+                console.warn(`${target.name ? `${target.name}: ` : ''}${warning}`);
+            }
+        }
+
+        target.frame.loadMs = Date.now() - loadStart;
+    }
+
+    /**
+     * Set the Intel filters once on the login page. Intel keeps them in the browser profile,
+     * so the targets load with them and the check before every frame only has to repair resets.
+     * @returns {Promise<void>}
+     */
+    #applyFiltersAfterLogin = async () => {
+        if (!this.filters) return;
+        try {
+            await this.#ensureFilters({ page: this.page, frame: { warnings: [] } });
+        } catch (error) {
+            console.warn(`Intel filters could not be set after login (${error.message}), they are set before the first frame.`);
+        }
+    }
+
+    /**
+     * Make sure the Intel filters of a target are set, apply them if not.
+     * A filter change makes Intel load the map data again, so that is waited for as well.
+     * @param {Object} target
+     * @returns {Promise<void>}
+     */
+    #ensureFilters = async (target) => {
+        if (!this.filters) return;
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const changed = await applyFilters(target.page, this.filters);
+            if (!changed) break;
+            console.log(`Intel filters${target.name ? ` of ${target.name}` : ''} applied.`);
+            await this.#waitForMapData(target.page);
+        }
+
+        const mismatches = filterMismatches(this.filters, await readFilterState(target.page, this.filters));
+        if (mismatches.length > 0) {
+            const warning = `Intel filters not as configured: ${mismatches.join(', ')}`;
+            target.frame.warnings.push(warning);
+            console.warn(`${target.name ? `${target.name}: ` : ''}${warning}`);
+        }
+    }
+
+    /**
+     * Clean up the loaded page of a target, save a screenshot of the map and add it to the manifest.
+     * @param {Object} target
+     * @param {{index: number, scheduledAt: number}} slot
+     * @param {number} numberOfScreenshots
+     * @returns {Promise<void>}
+     */
+    #screenshotTarget = async (target, slot, numberOfScreenshots) => {
+        if (this.targetMode === 'pages' && this.targets.length > 1) await target.page.bringToFront();
+
+        // Checked right before the capture, as the reload might have reset them
+        await this.#ensureFilters(target);
+
+        // Generate ISO timestamp
+        const timestamp = new Date().getTime();
+
+        await this.#adjustPage(target); // Hide elements that we don't want to see in the screenshot
+        if (this.overlay) await applyOverlay(target.page, this.overlay, timestamp);
+
+        const element = await target.page.$('#map_canvas');
+        if (!element) {
+            throw new Error('Element not found for screenshot.');
+        }
+
+        const fileName = `${timestamp}.png`;
+        const screenshotPath = path.join(target.screenshotPath, fileName);
+        const imageBuffer = await element.screenshot({
+            type: 'png',
+            clip: {
+                x: 0,
+                y: 0,
+                width: target.width || 1080,
+                height: target.height || 1920,
+            },
+            omitBackground: true,
+        });
+
+        const entry = {
+            slot: slot.index,
+            scheduledAt: slot.scheduledAt,
+            timestamp,
+            target: target.name,
+            url: target.url,
+            viewport: { width: target.width, height: target.height },
+            profile: target.profile.name,
+            loadMs: target.frame.loadMs,
+            retries: target.frame.retries,
+            warnings: target.frame.warnings,
+        };
+
+        const duplicate = await this.#checkDuplicate(target, imageBuffer, fileName);
+        if (duplicate) entry.changedRatio = duplicate.changedRatio;
+
+        if (duplicate && duplicate.isDuplicate && this.duplicates.policy === 'drop') {
+            target.manifest.append({ status: 'duplicate', duplicateOf: duplicate.duplicateOf, ...entry });
+            target.frame.captured = true;
+            console.log(`Unchanged frame skipped${target.name ? ` (${target.name})` : ''} - (${slot.index + 1}/${numberOfScreenshots === 0 ? '∞' : numberOfScreenshots})`);
+            return;
+        }
+
+        fs.writeFileSync(screenshotPath, imageBuffer);
+        target.manifest.append({
+            status: 'captured',
+            file: fileName,
+            ...entry,
+            ...(duplicate ? { duplicate: duplicate.isDuplicate } : {}),
+        });
+        target.frame.captured = true;
+        console.log(`Screenshot taken: ${screenshotPath}${duplicate && duplicate.isDuplicate ? ' (unchanged)' : ''} - (${slot.index + 1}/${numberOfScreenshots === 0 ? '∞' : numberOfScreenshots})`);
+    }
+
+    /**
+     * Compare a frame with the last changed frame of the target, unless the duplicate policy is 'keep'.
+     * The overlay is left out of the comparison, as its timestamp changes every frame.
+     * @param {Object} target
+     * @param {Buffer} imageBuffer - PNG of the new frame
+     * @param {string} fileName - File name of the new frame
+     * @returns {Promise<{isDuplicate: boolean, changedRatio: number, duplicateOf: string}|null>}
+     */
+    #checkDuplicate = async (target, imageBuffer, fileName) => {
+        if (this.duplicates.policy === 'keep') return null;
+
+        let thumbnail;
+        try {
+            thumbnail = createThumbnail(imageBuffer);
+        } catch (error) {
+            // The frame is kept, as nothing says it is unchanged
+            const warning = `Frame comparison failed, frame kept: ${error.message}`;
+            target.frame.warnings.push(warning);
+            console.warn(`${target.name ? `${target.name}: ` : ''}${warning}`);
+            return null;
+        }
+
+        const overlayBounds = this.overlay ? await getOverlayBounds(target.page) : null;
+        const ratio = changedRatio(target.lastThumbnail, thumbnail, this.duplicates.pixelTolerance, overlayBounds ? [overlayBounds] : []);
+        const isDuplicate = !!target.lastThumbnail && ratio <= this.duplicates.threshold;
+        const duplicateOf = target.lastFile;
+
+        // Compare against the last changed frame, so slow changes still add up
+        if (!isDuplicate) {
+            target.lastThumbnail = thumbnail;
+            target.lastFile = fileName;
+        }
+        return { isDuplicate, changedRatio: Math.round(ratio * 1e6) / 1e6, duplicateOf };
+    }
+
+    /**
+     * Open a page per target ('pages') or share the main page between all targets ('round-robin').
+     * @returns {Promise<void>}
+     */
+    #openTargets = async () => {
+        for (const [index, target] of this.targets.entries()) {
+            if (this.targetMode === 'round-robin' || index === 0) {
+                target.page = this.page;
+            } else {
+                target.page = await this.#newPage();
+            }
+
+            if (this.targetMode === 'pages' || index === 0) {
+                await target.page.setViewport({ width: target.width || 1080, height: target.height || 1920 });
+                await target.page.goto(target.url, { waitUntil: 'domcontentloaded' });
+            }
+        }
+    }
+
+    /**
+     * Add a missed slot to the manifest of every target, so the video can keep honest timing.
+     * @param {{index: number, scheduledAt: number, reason: string}} slot
+     */
+    #recordMissedSlot = (slot) => {
+        console.warn(`Missed slot ${slot.index + 1} scheduled at ${new Date(slot.scheduledAt).toISOString()} (${slot.reason}).`);
+        this.targets.forEach(target => {
+            // Details are only known if the slot failed while it was being captured
+            const frame = target.frame && target.frame.slot === slot.index ? target.frame : null;
+            if (frame && frame.captured) return;
+
+            target.manifest.append({
+                status: 'missed',
+                slot: slot.index,
+                scheduledAt: slot.scheduledAt,
+                target: target.name,
+                url: target.url,
+                reason: slot.reason,
+                ...(frame ? { loadMs: frame.loadMs, retries: frame.retries, warnings: frame.warnings } : {}),
+            });
+        });
+    }
+
+    /**
+     * Capture all targets for one slot.
+     * @param {{index: number, scheduledAt: number}} slot
+     * @param {number} numberOfScreenshots
+     * @returns {Promise<void>}
+     */
+    #captureSlot = async (slot, numberOfScreenshots) => {
+        // Details of the current frame for the manifest
+        this.targets.forEach(target => {
+            target.frame = { slot: slot.index, loadMs: null, retries: 0, warnings: [], captured: false };
+        });
+
+        if (this.targetMode === 'pages') {
+            // Every target has its own page, so all of them can load at the same time
+            await Promise.all(this.targets.map(target => this.#loadTarget(target)));
+            for (const target of this.targets) {
+                await this.#screenshotTarget(target, slot, numberOfScreenshots);
+            }
+        } else {
+            for (const target of this.targets) {
+                await this.#loadTarget(target);
+                await this.#screenshotTarget(target, slot, numberOfScreenshots);
+            }
+        }
+    }
+
+    /**
+     * Describe why a capture failed, used for logging and the missed slot log.
+     * @param {Error} error
+     * @returns {string}
+     */
+    #describeFailure = (error) => {
+        if (!this.browser || !this.browser.connected) return 'browser disconnected';
+        if (this.crashedPage) return 'page crashed';
+        if (error && error.name === 'TimeoutError') return 'navigation timeout';
+        return error ? error.message : 'unknown error';
+    }
+
+    /**
+     * Wait, but wake up early if a stop was requested.
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    #waitUnlessStopped = async (ms) => {
+        const until = Date.now() + ms;
+        while (Date.now() < until && !this.stopRequested) {
+            await new Promise(r => setTimeout(r, Math.min(until - Date.now(), 1000)));
+        }
+    }
+
+    /**
+     * Relaunch the browser and reopen all targets.
+     * If the Intel session is gone, interactive runs ask for a new login, others throw a LoginRequiredError.
+     * @returns {Promise<void>}
+     */
+    #recover = async () => {
+        await this.closeBrowser();
+        this.crashedPage = false;
+
+        await this.startBrowser(this.headless);
+        await this.page.goto('https://intel.ingress.com', { waitUntil: 'networkidle0' });
 
-            // Go to our URL
-            await this.page.goto(this.url, { waitUntil: 'networkidle0' });
+        if (await this.#searchStringOnPage(LOGIN_PAGE_TEXT)) {
+            if (!this.interactive) throw new LoginRequiredError();
 
-            this.intervalId = setInterval(async () => {
+            console.warn('Intel session expired. A human needs to log in again in the browser window.');
+            await this.closeBrowser();
+            this.headless = false;
+            await this.startBrowser(this.headless);
+            await this.login();
+        }
+
+        await this.#openTargets();
+    }
+
+    refreshAndTakeScreenshot = async (intervalSeconds, numberOfScreenshots) => {
+        this.stopRequested = false;
+        let consecutiveFailures = 0;
+        let restarts = 0;
+
+        // Go to our URLs
+        await this.#openTargets();
+
+        const scheduler = new CaptureScheduler(intervalSeconds * 1000, this.missedFramePolicy);
+        const result = await scheduler.run({
+            maxSlots: numberOfScreenshots,
+            shouldStop: () => this.stopRequested,
+            onMissed: this.#recordMissedSlot,
+            onSlot: async ({ index, scheduledAt }) => {
                 try {
-                    if (this.blocking) {
-                        console.warn('Skipping screenshot, still processing previous one. (Your intervalSeconds may be too low)');
-                        return; // Skip this iteration if blocking is true
-                    }
-                    if (this.stopRequested) {
-                        clearInterval(this.intervalId);
-                        this.blocking = false;
-                        resolve();
-                        return;
-                    }
-                    this.blocking = true;
-                    await this.page.setViewport({ width: this.screenshot_w || 1080, height: this.screenshot_h || 1920 });
-                    await this.page.reload({ waitUntil: 'networkidle0' });
+                    await this.#captureSlot({ index, scheduledAt }, numberOfScreenshots);
+                    consecutiveFailures = 0;
+                    return true;
+                } catch (error) {
+                    if (error instanceof LoginRequiredError) throw error;
 
-                    await this.#adjustPage(); // Hide elements that we don't want to see in the screenshot
+                    const reason = this.#describeFailure(error);
+                    consecutiveFailures++;
+                    this.#recordMissedSlot({ index, scheduledAt, reason });
 
-                    const element = await this.page.$('#map_canvas');
-                    if (!element) {
-                        throw new Error('Element not found for screenshot.');
+                    if (consecutiveFailures >= this.recovery.maxConsecutiveFailures) {
+                        throw new Error(`Giving up after ${consecutiveFailures} failed captures in a row (last: ${reason}).`, { cause: error });
                     }
-                    // Generate ISO timestamp
-                    const timestamp = new Date().getTime();
-
-                    const screenshotPath = path.join(this.screenshotPath, `${timestamp}.png`);
-                    const imageBuffer = await element.screenshot({
-                        type: 'png',
-                        clip: {
-                            x: 0,
-                            y: 0,
-                            width: this.screenshot_w || 1080,
-                            height: this.screenshot_h || 1920,
-                        },
-                        omitBackground: true,
-                    });
-                    fs.writeFileSync(screenshotPath, imageBuffer);
-                    console.log(`Screenshot taken: ${screenshotPath} - (${counter + 1}/${numberOfScreenshots === 0 ? '∞' : numberOfScreenshots})`);
-
-                    counter++;
-                    this.blocking = false;
-                    if (numberOfScreenshots !== 0 && counter >= numberOfScreenshots) {
-                        clearInterval(this.intervalId);
-                        resolve();
+                    if (this.recovery.maxRestarts > 0 && restarts >= this.recovery.maxRestarts) {
+                        throw new Error(`Giving up after ${restarts} browser restarts (last: ${reason}).`, { cause: error });
                     }
-                } catch (error) {
-                    console.error('An error occurred while taking a screenshot:', error);
-                    clearInterval(this.intervalId);
-                    reject(error);
+
+                    restarts++;
+                    console.warn(`Capture failed (${reason}). Restarting browser in ${this.recovery.retryDelaySeconds}s... (restart ${restarts}${this.recovery.maxRestarts > 0 ? `/${this.recovery.maxRestarts}` : ''})`);
+                    await this.#waitUnlessStopped(this.recovery.retryDelaySeconds * 1000);
+                    if (this.stopRequested) return false;
+
+                    try {
+                        await this.#recover();
+                    } catch (recoverError) {
+                        if (recoverError instanceof LoginRequiredError) throw recoverError;
+                        // The next slot fails again and counts towards the limits
+                        console.error('Browser restart failed:', recoverError.message);
+                    }
+                    return false;
                 }
-            }, intervalSeconds * 1000);
+            },
         });
+
+        console.log(`Capture finished: ${result.captured} slots captured, ${result.missed} slots missed.`);
+    }
+
+    /**
+     * Record COMM on an own page into the history DB of the screenshot directory.
+     * The page is reopened after browser restarts, see lib/commRecorder.js.
+     * @returns {Promise<void>}
+     */
+    #startCommRecorder = async () => {
+        const openPage = async () => {
+            const page = await this.browser.newPage();
+            page.setDefaultNavigationTimeout(this.recovery.navigationTimeoutSeconds * 1000);
+            // Same size as the capture, getPlexts covers the visible map
+            await page.setViewport({ width: this.targets[0].width || 1920, height: this.targets[0].height || 1080 });
+            return page;
+        };
+        const url = this.commRecording.url || this.targets[0].url;
+        this.commRecorder = new CommRecorder(openPage, url, path.join(this.screenshotPath, 'ingress_history.db'), this.commRecording, this.fetchOptions);
+        await this.commRecorder.start();
     }
 
     stop = () => {
@@ -254,22 +723,36 @@ class IngressIceReplica {
         this.stopRequested = true;
     }
 
+    /**
+     * Login and capture screenshots until done or stopped.
+     * @returns {Promise<Boolean>} False if the capture ended with an error
+     */
     run = async () => {
+        let success = true;
         try {
             await this.startBrowser();
             const isLoggedIn = await this.login();
+            await this.#applyFiltersAfterLogin();
             await this.closeBrowser();
 
-            await this.startBrowser(isLoggedIn);
+            this.headless = isLoggedIn;
+            await this.startBrowser(this.headless);
+            if (this.commRecording.enabled) await this.#startCommRecorder();
 
             await this.refreshAndTakeScreenshot(this.intervalSeconds, this.numberOfScreenshots);
 
         } catch (error) {
-            console.error('An error occurred:', error);
+            if (error instanceof LoginRequiredError) console.error(error.message);
+            else console.error('An error occurred:', error);
+            this.lastError = error;
+            success = false;
         } finally {
+            if (this.commRecorder) await this.commRecorder.stop();
+            this.commRecorder = null;
             await this.closeBrowser();
             console.log('Done!');
         }
+        return success;
     }
 
 }
@@ -278,227 +761,180 @@ class IngressIceReplica {
  * Extended Class: Adds History, Storage & Simulation
  */
 class IngressHistorySimulator extends IngressIceReplica {
-    constructor(url, storagePath, dbName = 'ingress_history.db') {
-        super(url, storagePath);
+    constructor(url, storagePath, dbName = 'ingress_history.db', options = {}) {
+        super(url, storagePath, undefined, undefined, undefined, undefined, options);
         this.dbPath = path.join(storagePath, dbName);
         this.db = null;
-        this.#initDB();
-    }
-
-    #initDB() {
-        this.db = new sqlite3.Database(this.dbPath);
-        this.db.serialize(() => {
-            this.db.run(`CREATE TABLE IF NOT EXISTS portals (id TEXT PRIMARY KEY, lat REAL, lng REAL, name TEXT, address TEXT, team TEXT)`);
-            this.db.run(`CREATE TABLE IF NOT EXISTS actions (id TEXT PRIMARY KEY, timestamp INTEGER, type TEXT, action TEXT, portal_id TEXT, target_portal_id TEXT, FOREIGN KEY(portal_id) REFERENCES portals(id))`);
-        });
+        // The simulation always shows the timestamp, unless the overlay is disabled explicitly
+        this.historyOverlay = options.overlay && options.overlay.enabled === false ? null : resolveOverlay(options.overlay);
+        this.snapshotOptions = resolveSnapshotOptions(options.snapshot);
+        this.decayOptions = options.decay;
+        this.dbReady = this.#initDB();
+        // Reported when the DB is used, so an unhandled rejection does not end the process early
+        this.dbReady.catch(() => { });
     }
 
     /**
-     * Parse raw plext data and normalize it
+     * Open the history DB and migrate it to the current schema
+     * @returns {Promise<void>}
      */
-    #parseIngressData(rawList) {
-        if (!Array.isArray(rawList)) return [];
-
-        return rawList.map(item => {
-            const id = item[0];
-            const timestamp = item[1];
-            const plext = (item[2] && item[2].plext) ? item[2].plext : {};
-            const markup = plext.markup || [];
-            const text = plext.text || "";
-
-            // IGNORE RULES 
-            if (text.includes('is under attack by') ||
-                text.includes('Your Kinetic Capsule now ready') ||
-                text.includes('Drone returned')) {
-                return null;
-            }
-
-            // EXTRACT TEAM FROM MARKUP
-            // Find the player tag to see who performed the action
-            let teamSuffix = null; // 'RES' or 'ENL'
-            const playerTag = markup.find(m => m[0] === 'PLAYER');
-            if (playerTag && playerTag[1].team) {
-                if (playerTag[1].team === 'RESISTANCE') teamSuffix = 'RES';
-                else if (playerTag[1].team === 'ENLIGHTENED') teamSuffix = 'ENL';
-            }
-
-            // Helper to append team to action (e.g., 'captured' -> 'captured_ENL')
-            const tagAction = (baseAction) => teamSuffix ? `${baseAction}_${teamSuffix}` : baseAction;
-
-            let parsed = {
-                id,
-                action: 'unknown',
-                type: 'unknown',
-                timestamp,
-                cords1: null,
-                cords2: null
-            };
-
-            // ETERMINE ACTION & TYPE
-
-            if (text.includes('destroyed')) {
-                parsed.action = 'destroy'; // Destroy makes things neutral, so team matters less here
-                if (text.includes('Resonator')) parsed.type = 'reso';
-                else if (text.includes('Link')) parsed.type = 'link';
-                else if (text.includes('Control Field')) parsed.type = 'field';
-                else if (text.includes('Mod')) parsed.type = 'mod';
-            }
-            else if (text.includes('neutralized by')) {
-                parsed.action = 'destroy';
-                parsed.type = 'portal';
-            }
-            else if (text.includes('won a CAT-')) {
-                parsed.type = 'battlebeacon';
-                const factionTag = markup.find(m => m[0] === 'FACTION');
-                const winningTeam = factionTag ? factionTag[1].team : 'UNKNOWN';
-                parsed.action = winningTeam === 'RESISTANCE' ? 'won_RES' : 'won_ENL';
-            }
-            else if (text.includes('deployed')) {
-                parsed.action = tagAction('deploy'); // Becomes 'deploy_RES' or 'deploy_ENL'
-                parsed.type = 'reso';
-            }
-            else if (text.includes('linked')) {
-                parsed.action = tagAction('link');   // Becomes 'link_RES' or 'link_ENL'
-                parsed.type = 'link';
-            }
-            else if (text.includes('created a Control Field')) {
-                parsed.action = tagAction('field');  // Becomes 'field_RES' or 'field_ENL'
-                parsed.type = 'field';
-            }
-            else if (text.includes('captured')) {
-                parsed.action = tagAction('captured'); // Becomes 'captured_RES' or 'captured_ENL'
-                parsed.type = 'portal';
-            }
-
-            // EXTRACT PORTALS
-            if (markup.length > 0) {
-                const portals = markup
-                    .filter(m => Array.isArray(m) && m[0] === 'PORTAL')
-                    .map(m => m[1]);
-
-                const formatPortal = (p) => ({
-                    id: p.guid,
-                    lat: parseE6(p.latE6),
-                    lng: parseE6(p.lngE6),
-                    name: p.name,
-                    address: p.address,
-                    team: p.team // NOTE: This is the CURRENT team, not historical. Rely on action parsing.
-                });
-
-                if (portals[0]) parsed.cords1 = formatPortal(portals[0]);
-                if (portals[1]) parsed.cords2 = formatPortal(portals[1]);
-            }
-
-            return parsed;
-        }).filter(item => item !== null);
+    async #initDB() {
+        this.db = new HistoryDatabase(this.dbPath);
+        await this.db.open();
     }
 
-    #saveToDB(parsedData) {
+    async #saveToDB(parsedData, rawItems) {
+        await this.db.saveEvents(parsedData, rawItems);
         if (!parsedData.length) return;
-        const stmtPortal = this.db.prepare(`INSERT OR IGNORE INTO portals (id, lat, lng, name, address, team) VALUES (?, ?, ?, ?, ?, ?)`);
-        const stmtAction = this.db.prepare(`INSERT OR IGNORE INTO actions (id, timestamp, type, action, portal_id, target_portal_id) VALUES (?, ?, ?, ?, ?, ?)`);
-        this.db.serialize(() => {
-            this.db.run("BEGIN TRANSACTION");
-            parsedData.forEach(d => {
-                if (d.cords1 && d.cords1.lat) stmtPortal.run(d.cords1.name, d.cords1.lat, d.cords1.lng, d.cords1.name, d.cords1.address, d.cords1.team);
-                if (d.cords2 && d.cords2.lat) stmtPortal.run(d.cords2.name, d.cords2.lat, d.cords2.lng, d.cords2.name, d.cords2.address, d.cords2.team);
-                const p1 = d.cords1 ? d.cords1.name : null;
-                const p2 = d.cords2 ? d.cords2.name : null;
-                stmtAction.run(d.id, d.timestamp, d.type, d.action, p1, p2);
-            });
-            this.db.run("COMMIT");
-        });
         console.log(`Saved ${parsedData.length} events to database.`);
     }
 
     /**
-     * Fetch history backwards until a specific timestamp
+     * Load Intel and capture the payload of its own getPlexts request (tab, map bounds and Intel version).
+     * @returns {Promise<Object>}
+     */
+    #loadPlextPayload = () => loadPlextPayload(this.page, this.url);
+
+    /**
+     * Send one getPlexts request from inside the Intel page.
+     * @param {Object} payload
+     */
+    #requestPlexts = (payload) => requestPlexts(this.page, payload);
+
+    /**
+     * Fetch history backwards until a specific timestamp.
+     * Only the time ranges the DB does not cover yet for this URL are fetched, newest first.
+     * Every fetched page is recorded, so a run that was cut short resumes where it stopped.
+     * Throttling and temporary errors are retried with backoff, an expired session is refreshed by reloading Intel.
      * @param {number} untilTimestampMs - The timestamp (ms) to stop fetching at (exclusive)
-     * @returns {Promise<void>} Resolves when target timestamp is reached or no more data exists
+     * @returns {Promise<{complete: boolean, reason: string}>} Why fetching ended: 'complete', 'covered' or the reason of the failure
+     * @throws {LoginRequiredError} If Intel needs a new login
      */
     async fetchHistoryUntil(untilTimestampMs) {
-        if (!this.browser) await this.startBrowser();
+        await this.dbReady;
+
+        const area = this.url;
+        const now = Date.now();
+        const gaps = missingRanges(untilTimestampMs, now, await this.db.getFetchedRanges(area)).reverse();
 
         console.log(`Starting History Fetch. Target: ${new Date(untilTimestampMs).toISOString()}`);
+        if (gaps.length === 0) {
+            console.log("The history DB already covers this time range.");
+            return { complete: true, reason: 'covered' };
+        }
+        gaps.forEach(gap => console.log(`Missing: ${new Date(gap.start).toISOString()} - ${new Date(gap.end).toISOString()}`));
 
-        const [initialRequest] = await Promise.all([
-            this.page.waitForRequest(req => req.url().includes('/r/getPlexts') && req.method() === 'POST'),
-            this.page.goto(this.url, { waitUntil: 'domcontentloaded' })
-        ]);
+        if (!this.browser) await this.startBrowser();
 
-        let basePayload = null;
-        if (initialRequest && initialRequest.postData()) {
-            basePayload = JSON.parse(initialRequest.postData());
-        }
+        try {
+            const fetcher = new PlextFetcher(this.#requestPlexts, this.#loadPlextPayload, await this.#loadPlextPayload(), this.fetchOptions);
 
-        if (!basePayload) throw new Error("Failed to capture base payload.");
+            for (const gap of gaps) {
+                let currentMaxTimestamp = gap.end;
 
-        let currentMaxTimestamp = new Date().getTime();
+                while (true) {
+                    const rawItems = await fetcher.fetchPage(gap.start, currentMaxTimestamp);
+                    if (rawItems.length === 0) {
+                        console.log(`Intel has no older data in this range (${new Date(gap.start).toISOString()} - ${new Date(currentMaxTimestamp).toISOString()}).`);
+                        await this.db.addFetchedRange(area, gap.start, gap.end);
+                        break;
+                    }
 
-        while (true) {
-            const payload = {
-                ...basePayload,
-                "minTimestampMs": -1,
-                "maxTimestampMs": currentMaxTimestamp,
-                "plextContinuationGuid": ""
-            };
+                    // Process Data
+                    const parsed = parsePlexts(rawItems);
+                    await this.#saveToDB(parsed, rawItems);
 
-            // Execute Fetch in Browser
-            const responseData = await this.page.evaluate(async (p) => {
-                const CSRF_TOKEN = document.cookie.match(/csrftoken=([\w-]+)/)?.[1] || '';
-                try {
-                    const res = await fetch('/r/getPlexts', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json; charset=UTF-8',
-                            'X-CSRFToken': CSRF_TOKEN
-                        },
-                        body: JSON.stringify(p)
-                    });
-                    return await res.json();
-                } catch (e) {
-                    return null;
-                }
-            }, payload);
+                    // The items are sorted NEWEST -> OLDEST
+                    const oldestItem = rawItems[rawItems.length - 1];
+                    const oldestTimestamp = oldestItem[1];
+
+                    console.log(`Fetched ${rawItems.length} items. Oldest in batch: ${new Date(oldestTimestamp).toISOString()}`);
+
+                    if (oldestTimestamp <= gap.start) {
+                        await this.db.addFetchedRange(area, gap.start, gap.end);
+                        break;
+                    }
+                    await this.db.addFetchedRange(area, oldestTimestamp, gap.end);
 
-            if (!responseData || !responseData.result || responseData.result.length === 0) {
-                console.log("No more data received from Intel.");
-                return;
+                    currentMaxTimestamp = oldestTimestamp - 1;
+                }
             }
+        } catch (error) {
+            if (!(error instanceof PlextFetchError)) throw error;
+            if (error.reason === 'login') throw new LoginRequiredError(`Intel session expired while fetching history (${error.message}). Log in again in an interactive run.`);
 
-            const rawItems = responseData.result;
+            console.warn(`History fetch stopped early: ${error.reason} - ${error.message}`);
+            console.warn("The fetched part is saved, the next run continues from here.");
+            await this.db.repairLegacyPortals();
+            return { complete: false, reason: error.reason };
+        }
 
-            // Process Data
-            const parsed = this.#parseIngressData(rawItems);
-            this.#saveToDB(parsed);
+        console.log(`Target timestamp reached (${new Date(untilTimestampMs).toISOString()}).`);
 
-            // The items are sorted NEWEST -> OLDEST
-            const oldestItem = rawItems[rawItems.length - 1];
-            const oldestTimestamp = oldestItem[1];
+        // Newly fetched GUID portals can replace name keyed rows from older versions
+        await this.db.repairLegacyPortals();
+        return { complete: true, reason: 'complete' };
+    }
 
-            console.log(`Fetched ${rawItems.length} items. Oldest in batch: ${new Date(oldestTimestamp).toISOString()}`);
+    /**
+     * Store the current portals, links and fields of the map, the simulation starts from the snapshot closest to its start.
+     * A failed snapshot only costs accuracy, so it is reported and the run goes on.
+     * @returns {Promise<Boolean>} True if a snapshot was stored
+     * @throws {LoginRequiredError} If Intel needs a new login
+     */
+    async snapshotMap() {
+        if (!this.snapshotOptions.enabled) return false;
+        await this.dbReady;
+        if (!this.browser) await this.startBrowser();
 
-            if (oldestTimestamp < untilTimestampMs) {
-                console.log(`Target timestamp reached (${new Date(untilTimestampMs).toISOString()}). Stopping.`);
-                return;
-            }
+        console.log("Taking a snapshot of the current map...");
+        let snapshot;
+        try {
+            snapshot = await captureEntitySnapshot(this.page, this.url, this.snapshotOptions);
+        } catch (error) {
+            console.warn(`Map snapshot failed: ${error.message}`);
+            return false;
+        }
+
+        if (!snapshot) {
+            if (await isLoginPage(this.page)) throw new LoginRequiredError();
+            console.warn("Map snapshot failed: Intel did not load any map data.");
+            return false;
+        }
+        if (snapshot.failedTiles.length > 0) console.warn(`Map snapshot: ${snapshot.failedTiles.length} of ${snapshot.tiles} tiles are missing.`);
 
-            currentMaxTimestamp = oldestTimestamp - 1;
+        await this.db.saveSnapshot(this.url, snapshot);
+        console.log(`Map snapshot saved: ${snapshot.portals.length} portals, ${snapshot.links.length} links, ${snapshot.fields.length} fields.`);
+        return true;
+    }
 
-            await new Promise(r => setTimeout(r, 1500));
+    /**
+     * Start the simulation from the stored snapshot closest to its start (see IngressStateSimulator.seedFromSnapshot).
+     * @param {IngressStateSimulator} simulator
+     * @param {Object[]} actions - All actions, oldest first
+     * @param {number} startTime
+     * @returns {Promise<number|null>} Time of the seeded state, only later actions are replayed. Null without a snapshot.
+     */
+    async #seedFromSnapshot(simulator, actions, startTime) {
+        if (!this.snapshotOptions.enabled) return null;
+        const snapshot = await this.db.getSnapshotNear(this.url, startTime);
+        if (!snapshot) {
+            console.log("No map snapshot stored for this URL, the simulation starts with an empty map.");
+            return null;
         }
+
+        const { seededAt, undone } = simulator.seedFromSnapshot(snapshot, actions, startTime);
+        if (seededAt === snapshot.timestamp) console.log(`Starting from the map snapshot of ${new Date(snapshot.timestamp).toISOString()}.`);
+        else console.log(`Starting from the map snapshot of ${new Date(snapshot.timestamp).toISOString()}, rewound ${undone} actions.`);
+        return seededAt;
     }
 
     /**
      * Helper: Promisified DB Query
      */
     async #queryDB(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        await this.dbReady;
+        return this.db.all(sql, params);
     }
 
     /**
@@ -533,7 +969,7 @@ class IngressHistorySimulator extends IngressIceReplica {
         if (actions.length === 0) return console.error("No actions found.");
 
         // Initialize Logic Engine
-        const simulator = new IngressStateSimulator(portals);
+        const simulator = new IngressStateSimulator(portals, { decay: this.decayOptions });
 
         // Calculate Map Center & Zoom (URL Priority) ---
         let mapLat, mapLng, mapZoom;
@@ -576,17 +1012,12 @@ class IngressHistorySimulator extends IngressIceReplica {
         <style>
             body, html, #map { margin: 0; width: 100%; height: 100%; background: #0e0e0e; overflow: hidden; }
             #comm, #header, #game_stats, .gmnoprint { display: none !important; }
-            #timer { 
-                position: absolute; top: 20px; right: 20px; 
-                color: #0f0; font-family: monospace; font-size: 32px; 
-                background: rgba(0,0,0,0.8); padding: 10px; z-index: 9999;
-                border: 1px solid #0f0;
-            }
+            ${this.historyOverlay ? buildOverlayCss(this.historyOverlay) : `#${OVERLAY_ID} { display: none; }`}
         </style>
         <script src="https://cdn.jsdelivr.net/npm/openlayers/dist/ol.js"></script>
     </head>
     <body>
-        <div id="timer">Loading...</div>
+        <div id="${OVERLAY_ID}">Loading...</div>
         <div id="map"></div>
         <script>
             const COLORS = { 'RES': '#0088FF', 'ENL': '#03DC03', 'NEUTRAL': '#444', 'MACHINA': '#F00' };
@@ -611,7 +1042,7 @@ class IngressHistorySimulator extends IngressIceReplica {
             };
 
             window.renderState = (state, timeStr) => {
-                document.getElementById('timer').innerText = timeStr;
+                document.getElementById('${OVERLAY_ID}').textContent = timeStr;
                 vectorSource.clear();
 
                 // Draw Fields
@@ -646,7 +1077,7 @@ class IngressHistorySimulator extends IngressIceReplica {
                                 ol.proj.fromLonLat([p2.lng, p2.lat])
                             ])
                         });
-                        const team = p1.team === 'NEUTRAL' ? 'RES' : p1.team; 
+                        const team = l.team || (p1.team === 'NEUTRAL' ? 'RES' : p1.team);
                         line.setStyle(new ol.style.Style({
                             stroke: new ol.style.Stroke({ color: COLORS[team] || '#fff', width: 2 })
                         }));
@@ -663,7 +1094,8 @@ class IngressHistorySimulator extends IngressIceReplica {
                         image: new ol.style.Circle({
                             radius: 5,
                             fill: new ol.style.Fill({ color: COLORS[p.team] || COLORS.NEUTRAL }),
-                            stroke: new ol.style.Stroke({ color: '#fff', width: 1 })
+                            // Grey outline: the state is only inferred or was not seen for days
+                            stroke: new ol.style.Stroke({ color: p.confidence >= 0.5 ? '#fff' : '#777', width: 1 })
                         })
                     }));
                     vectorSource.addFeature(point);
@@ -685,16 +1117,26 @@ class IngressHistorySimulator extends IngressIceReplica {
         } catch (e) { console.log("Network idle timeout (ignoring)"); }
 
         let screenshotCounter = 0;
+        const manifest = new CaptureManifest(outputDir);
         const captureFrame = async (time) => {
             const currentState = simulator.getCurrentState();
             const timeStr = new Date(time).toLocaleString();
+            const overlayText = this.historyOverlay ? buildOverlayText(this.historyOverlay, time) : '';
 
-            await this.page.evaluate(({ state, timeStr }) => {
-                window.renderState(state, timeStr);
-            }, { state: currentState, timeStr });
+            await this.page.evaluate(({ state, overlayText }) => {
+                window.renderState(state, overlayText);
+            }, { state: currentState, overlayText });
 
             const fileName = `${time}.png`;
             await this.page.screenshot({ path: path.join(outputDir, fileName), fullPage: true });
+            manifest.append({
+                status: 'captured',
+                source: 'simulation',
+                timestamp: time,
+                file: fileName,
+                url: this.url,
+                viewport: { width: screenshot_w, height: screenshot_h },
+            });
 
             screenshotCounter++;
             if (screenshotCounter % 50 === 0 || screenshotPerAction) {
@@ -713,10 +1155,15 @@ class IngressHistorySimulator extends IngressIceReplica {
         console.log(`Recording starts at: ${new Date(recordingStart).toLocaleString()}`);
         if (screenshotPerAction) console.log("MODE: PER-ACTION (StepSeconds ignored)");
 
+        // Actions up to the seeded state are part of it already
+        const seededAt = await this.#seedFromSnapshot(simulator, actions, simulationStart);
+        const replayActions = seededAt === null ? actions : actions.filter(a => a.timestamp > seededAt);
+        simulator.indexActions(replayActions);
+
         // --- SIMULATION LOOP ---
 
         if (screenshotPerAction) {
-            for (const action of actions) {
+            for (const action of replayActions) {
 
                 const shouldCapture = simulator.processAction(action);
 
@@ -731,10 +1178,12 @@ class IngressHistorySimulator extends IngressIceReplica {
             let actionIdx = 0;
             for (let time = simulationStart; time <= lastActionTime; time += stepSeconds * 1000) {
 
-                while (actionIdx < actions.length && actions[actionIdx].timestamp <= time) {
-                    simulator.processAction(actions[actionIdx]);
+                while (actionIdx < replayActions.length && replayActions[actionIdx].timestamp <= time) {
+                    simulator.processAction(replayActions[actionIdx]);
                     actionIdx++;
                 }
+                // Portals also decay between actions
+                simulator.advanceTime(time);
 
                 if (time >= recordingStart) {
                     await captureFrame(time);
@@ -744,8 +1193,12 @@ class IngressHistorySimulator extends IngressIceReplica {
             }
         }
 
+        const { certain, likely, guess, none } = simulator.linkInferences;
+        if (certain + likely + guess + none > 0) {
+            console.log(`\nLink destroys with one portal: ${certain} certain, ${likely} likely, ${guess} guessed, ${none} without a matching link.`);
+        }
         console.log(`\nSimulation complete.`);
     }
 }
 
-module.exports = { IngressIceReplica, IngressHistorySimulator };
\ No newline at end of file
+module.exports = { IngressIceReplica, IngressHistorySimulator, LoginRequiredError };
\ No newline at end of file
@@ -1,23 +1,113 @@
+const { areaKm2, isInsideTriangle, linksIntersect, side } = require('./geo.js');
+const { LinearLinkIndex, LinkGrid } = require('./spatialIndex.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far later link events are searched to find the link of a destroy plext with one portal
+const LINK_LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+// Off unless configured, so simulations of existing setups do not change
+const DEFAULT_DECAY = {
+    enabled: false,
+    days: 7,       // A resonator decays 15% per day, a full one is gone after 7 days without recharge
+};
+
+/**
+ * Min-heap of [deadline, portal id], the portal whose oldest resonator decays first is on top.
+ */
+class DeadlineHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(deadline, id) {
+        const items = this.items;
+        items.push([deadline, id]);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent][0] <= deadline) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1, right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    clear() {
+        this.items = [];
+    }
+}
+
+/**
+ * Ingress State Simulator
+ * Replays COMM actions into portals, links and fields.
+ * @constructor
+ * @param {Object[]} portalsList - Portals with id, lat and lng
+ * @param {Object} options
+ * @param {Object} options.decay - { enabled, days }: portals go neutral this many days after the last activity of their owner
+ * @param {Object|false} options.spatialIndex - { cellSize, maxCells } of the link grid (see lib/spatialIndex.js), false scans all links
+ */
 class IngressStateSimulator {
-    constructor(portalsList) {
+    constructor(portalsList, options = {}) {
         this.portalStates = new Map();
-        this.links = new Set();        
+        this.links = new Map();        // link key -> { key, p1, p2, team }
+        this.adjacency = new Map();    // portal id -> Set of link keys
+        this.linkIndex = options.spatialIndex === false ? new LinearLinkIndex() : new LinkGrid(options.spatialIndex);
         this.fields = [];              
 
-        // Track resonator health (count) to handle gradual destruction
+        // Field plexts by timestamp, to confirm the fields of a new link (see indexActions)
+        this.fieldReports = new Map();
+        // Link actions with both portals, oldest first, to look ahead (see inferDestroyedLink)
+        this.linkEvents = [];
+        this.linkInferences = { certain: 0, likely: 0, guess: 0, none: 0 };
+
+        // Resonator model per portal (see getResonators)
         this.portalResonators = new Map();
+        this.decay = { ...DEFAULT_DECAY, ...(options.decay || {}) };
+        this.now = null;
+        // When the oldest resonator of a portal decays, so advanceTime only visits those portals (see scheduleDecay)
+        this.decayHeap = new DeadlineHeap();
+        this.decayDeadlines = new Map();   // portal id -> deadline of its valid heap entry
 
         portalsList.forEach(p => {
             this.portalStates.set(p.id, { 
                 id: p.id, lat: p.lat, lng: p.lng, 
                 team: 'NEUTRAL'
             });
-            this.portalResonators.set(p.id, 0);
+            this.getResonators(p.id);
         });
     }
 
+    // Portal ids are GUIDs, '|' keeps the key splittable for legacy name ids with dashes too
     getLinkKey(id1, id2) {
-        return [id1, id2].sort().join('-');
+        return [id1, id2].sort().join('|');
     }
 
     processAction(action) {
@@ -25,11 +115,13 @@ class IngressStateSimulator {
 
         const p1Id = action.portal_id;
         const p2Id = action.target_portal_id;
+        const time = action.timestamp;
         
         // --- 1. IDENTIFY TEAM ---
-        let team = null;
-        if (action.action && (action.action.includes('_RES') || action.team === 'RES')) team = 'RES';
-        else if (action.action && (action.action.includes('_ENL') || action.team === 'ENL')) team = 'ENL';
+        const team = this.getActionTeam(action);
+
+        // --- 1b. DECAY UP TO THIS ACTION ---
+        if (this.advanceTime(time)) hasVisibleChange = true;
 
         // --- 2. HANDLE EXPLICIT LINK DESTROY ---
         // (If your data feed sends specific 'destroy link' events)
@@ -39,17 +131,32 @@ class IngressStateSimulator {
                  const key = this.getLinkKey(p1Id, p2Id);
                  if (this.deleteLink(key)) hasVisibleChange = true;
              }
-             // If only one ID is known, we might need to sweep (uncommon)
+             // If only one ID is known, pick the most likely link of that portal
+             else if (p1Id) {
+                 const pick = this.inferDestroyedLink(action);
+                 this.linkInferences[pick.certainty]++;
+                 if (process.env.DEBUG == 'true') {
+                     console.log(`Link destroy at ${p1Id} (${new Date(time).toISOString()}): ${pick.key || 'no link'}, ${pick.certainty} (${pick.reason})`);
+                 }
+                 if (pick.key && this.deleteLink(pick.key)) hasVisibleChange = true;
+             }
              return hasVisibleChange;
         }
 
-        // --- 3. HANDLE RESO DESTROY / DECAY ---
+        // --- 3. HANDLE RESO DESTROY ---
         if (action.action === 'destroy' && action.type === 'reso') {
             if (this.portalStates.has(p1Id)) {
-                let currentCount = this.portalResonators.get(p1Id) || 8; 
-                
-                if (currentCount > 0) currentCount--;
-                this.portalResonators.set(p1Id, currentCount);
+                const resonators = this.getResonators(p1Id);
+                if (resonators.charges.length === 0) {
+                    // Never saw them deployed, assume a full portal
+                    resonators.charges = new Array(8).fill(time);
+                    resonators.inferred = true;
+                    this.scheduleDecay(p1Id);
+                }
+                // The oldest resonator has the least health left
+                resonators.charges.sort((a, b) => a - b).shift();
+                resonators.destroyed++;
+                const currentCount = resonators.charges.length;
 
                 // RULE: If resos drop to 2 or less, links fail.
                 if (currentCount <= 2) {
@@ -58,13 +165,22 @@ class IngressStateSimulator {
 
                 // RULE: If resos drop to 0, Portal Neutralizes.
                 if (currentCount <= 0) {
-                    this.portalResonators.set(p1Id, 0);
                     if (this.setPortalTeam(p1Id, 'NEUTRAL')) hasVisibleChange = true;
                 }
             }
             return hasVisibleChange;
         }
 
+        // --- 3b. HANDLE NEUTRALIZE ---
+        if (action.action === 'destroy' && action.type === 'portal') {
+            if (this.portalStates.has(p1Id)) {
+                this.resetResonators(p1Id, 0, time, false);
+                if (this.removeLinksAttachedTo(p1Id)) hasVisibleChange = true;
+                if (this.setPortalTeam(p1Id, 'NEUTRAL')) hasVisibleChange = true;
+            }
+            return hasVisibleChange;
+        }
+
         // --- 4. HANDLE PORTAL OWNERSHIP (Capture/Deploy) ---
         if (team && p1Id) {
             const currentState = this.portalStates.get(p1Id);
@@ -75,28 +191,39 @@ class IngressStateSimulator {
                 if (currentState.team !== 'NEUTRAL' && currentState.team !== team) {
                     this.setPortalTeam(p1Id, team);
                     this.removeLinksAttachedTo(p1Id); // Flip kills links
-                    this.portalResonators.set(p1Id, 1);
+                    this.resetResonators(p1Id, 1, time, false);
+                    this.getResonators(p1Id).deployed = 1;
                     hasVisibleChange = true;
                 }
                 // CAPTURE: Neutral -> Faction (Visible)
                 else if (currentState.team === 'NEUTRAL') {
                     this.setPortalTeam(p1Id, team);
-                    this.portalResonators.set(p1Id, 1);
+                    this.resetResonators(p1Id, 1, time, false);
+                    this.getResonators(p1Id).deployed = 1;
                     hasVisibleChange = true;
                 }
-                // REINFORCE: (Not Visible)
+                // REINFORCE: (Not Visible), mods do not add resonators
                 else if (currentState.team === team) {
-                    let count = this.portalResonators.get(p1Id) || 0;
-                    if (count < 8) this.portalResonators.set(p1Id, count + 1);
+                    this.recordActivity(p1Id, time);
+                    const resonators = this.getResonators(p1Id);
+                    if (action.type === 'reso' && resonators.charges.length < 8) {
+                        resonators.charges.push(time);
+                        resonators.deployed++;
+                        this.scheduleDecay(p1Id);
+                    }
                 }
             }
+            // Links, fields and mods of the owner: someone was there and most likely recharged
+            else if (currentState && currentState.team === team && action.action !== 'destroy') {
+                this.recordActivity(p1Id, time);
+            }
         }
         
         // --- 5. HANDLE LINKS & FIELDS ---
         if (action.type === 'link') {
             if (p1Id && p2Id && team) {
-                if (this.setPortalTeam(p1Id, team)) hasVisibleChange = true;
-                if (this.setPortalTeam(p2Id, team)) hasVisibleChange = true;
+                if (this.claimPortal(p1Id, team, time)) hasVisibleChange = true;
+                if (this.claimPortal(p2Id, team, time)) hasVisibleChange = true;
                 
                 const linkKey = this.getLinkKey(p1Id, p2Id);
 
@@ -106,12 +233,17 @@ class IngressStateSimulator {
                         hasVisibleChange = true; 
                     }
 
-                    // 2. ADD LINK
-                    this.links.add(linkKey);
+                    // 2. CLEANUP GHOSTS (Fields over the origin, nobody can link out from under a field)
+                    if (this.removeFieldsCovering(p1Id)) {
+                        hasVisibleChange = true;
+                    }
+
+                    // 3. ADD LINK
+                    this.addLink(p1Id, p2Id, team);
                     hasVisibleChange = true; 
                     
-                    // 3. CREATE FIELDS
-                    if (this.detectAndCreateFields(p1Id, p2Id, team)) {
+                    // 4. CREATE FIELDS
+                    if (this.detectAndCreateFields(p1Id, p2Id, team, this.getFieldReports(action))) {
                         hasVisibleChange = true; 
                     }
                 }
@@ -125,25 +257,360 @@ class IngressStateSimulator {
                 this.removeLinksAttachedTo(p1Id);
                 hasVisibleChange = true;
             }
-            if (this.setPortalTeam(p1Id, team)) hasVisibleChange = true;
+            if (this.claimPortal(p1Id, team, time)) hasVisibleChange = true;
         }
 
         return hasVisibleChange;
     }
 
+    getActionTeam(action) {
+        if (action.action && (action.action.includes('_RES') || action.team === 'RES')) return 'RES';
+        if (action.action && (action.action.includes('_ENL') || action.team === 'ENL')) return 'ENL';
+        if (action.action && (action.action.includes('_MACHINA') || action.team === 'MACHINA')) return 'MACHINA';
+        return null;
+    }
+
+    /**
+     * Resonator model of a portal, created on first use:
+     * - charges: One entry per resonator, when it was last fully charged
+     * - deployed / destroyed: Resonators deployed and destroyed since the portal was captured
+     * - lastActivity: Last action of the owner at the portal
+     * - observedAt: Last time an action or snapshot showed the portal's state
+     * - inferred: The state is assumed, e.g. a portal only known to be owned because of a link
+     */
+    getResonators(id) {
+        if (!this.portalResonators.has(id)) {
+            this.portalResonators.set(id, { charges: [], deployed: 0, destroyed: 0, lastActivity: null, observedAt: null, inferred: false });
+        }
+        return this.portalResonators.get(id);
+    }
+
+    resetResonators(id, count, time, inferred) {
+        Object.assign(this.getResonators(id), {
+            charges: new Array(count).fill(time),
+            deployed: 0,
+            destroyed: 0,
+            lastActivity: time,
+            observedAt: time,
+            inferred,
+        });
+        this.scheduleDecay(id);
+    }
+
+    /**
+     * COMM does not show recharges, so any action of the owner at a portal counts as one.
+     */
+    recordActivity(id, time) {
+        const resonators = this.getResonators(id);
+        resonators.charges = resonators.charges.map(() => time);
+        resonators.lastActivity = time;
+        resonators.observedAt = time;
+        resonators.inferred = false;
+    }
+
+    /**
+     * Give a portal to the team of a link or battle beacon. Its resonators are not known, a full portal is assumed.
+     * @returns {boolean} True if the team changed
+     */
+    claimPortal(id, team, time) {
+        if (!this.setPortalTeam(id, team)) return false;
+        this.resetResonators(id, 8, time, true);
+        return true;
+    }
+
+    /**
+     * Note when the oldest resonator of a portal decays.
+     * Needed whenever a portal gets an older charge than before, later charges are picked up when the old deadline passes.
+     */
+    scheduleDecay(id) {
+        if (!this.decay.enabled) return;
+        const charges = this.portalResonators.get(id).charges;
+        if (charges.length === 0) return;
+
+        const deadline = Math.min(...charges) + this.decay.days * DAY_MS;
+        const scheduled = this.decayDeadlines.get(id);
+        if (scheduled !== undefined && scheduled <= deadline) return;
+        // An entry with a later deadline stays in the heap, advanceTime skips it
+        this.decayDeadlines.set(id, deadline);
+        this.decayHeap.push(deadline, id);
+    }
+
+    /**
+     * Schedule the decay of all portals again, after charges were changed without scheduleDecay.
+     */
+    rescheduleDecay() {
+        this.decayHeap.clear();
+        this.decayDeadlines.clear();
+        this.portalResonators.forEach((resonators, id) => this.scheduleDecay(id));
+    }
+
+    /**
+     * Let resonators decay up to a point in time.
+     * Resonators decay after decay.days without recharge. Links fail with 2 or less left, the portal neutralizes without any.
+     * Only portals whose oldest resonator is due are visited.
+     * @param {number} time - Milliseconds, earlier times than the last one are ignored
+     * @returns {boolean} True if a link or portal changed
+     */
+    advanceTime(time) {
+        if (!time || (this.now !== null && time <= this.now)) return false;
+        this.now = time;
+        if (!this.decay.enabled) return false;
+
+        const decayMs = this.decay.days * DAY_MS;
+        let changed = false;
+        while (this.decayHeap.size > 0 && this.decayHeap.peek()[0] <= time) {
+            const [deadline, id] = this.decayHeap.pop();
+            if (this.decayDeadlines.get(id) !== deadline) continue;
+            this.decayDeadlines.delete(id);
+
+            const portal = this.portalStates.get(id);
+            const resonators = this.portalResonators.get(id);
+            // Claiming the portal again resets its resonators, which schedules it again
+            if (!portal || portal.team === 'NEUTRAL' || resonators.charges.length === 0) continue;
+
+            const left = resonators.charges.filter(charged => time - charged < decayMs);
+            if (left.length < resonators.charges.length) {
+                resonators.charges = left;
+                // Nobody saw it happen, maybe someone recharged
+                resonators.inferred = true;
+
+                if (left.length <= 2 && this.removeLinksAttachedTo(id)) changed = true;
+                if (left.length === 0 && this.setPortalTeam(id, 'NEUTRAL')) changed = true;
+            }
+            // Recharged since, or resonators left
+            this.scheduleDecay(id);
+        }
+        return changed;
+    }
+
+    /**
+     * How sure the simulation is about a portal, 0 to 1.
+     * Full for a state shown by an action or snapshot, half if it is only inferred, and less the longer nothing was seen.
+     */
+    getConfidence(id) {
+        const resonators = this.portalResonators.get(id);
+        if (!resonators || resonators.observedAt === null || this.now === null) return 0;
+
+        const freshness = Math.min(1, Math.max(0, 1 - (this.now - resonators.observedAt) / (this.decay.days * DAY_MS)));
+        return Math.round((resonators.inferred ? 0.5 : 1) * freshness * 100) / 100;
+    }
+
+    /**
+     * Start from a map snapshot. An older snapshot is used as it is and the actions since then are to be replayed,
+     * a newer one is rewound to the start time with the actions in between.
+     * @param {Object} snapshot - See loadSnapshot
+     * @param {Object[]} actions - All actions, oldest first
+     * @param {number} startTime
+     * @returns {{seededAt: number, undone: number}} Time of the seeded state, only later actions are replayed. Number of rewound actions.
+     */
+    seedFromSnapshot(snapshot, actions, startTime) {
+        this.loadSnapshot(snapshot);
+        if (snapshot.timestamp <= startTime) return { seededAt: snapshot.timestamp, undone: 0 };
+
+        const undone = this.rewind(actions.filter(a => a.timestamp > startTime && a.timestamp <= snapshot.timestamp), startTime);
+        return { seededAt: startTime, undone };
+    }
+
+    /**
+     * Replace the current state with a map snapshot from getEntities (see lib/entitySnapshot.js).
+     * Portals outside the snapshot become NEUTRAL, portals only known from the snapshot are added.
+     * Portals without a resonator count are assumed to be fully deployed.
+     */
+    loadSnapshot(snapshot) {
+        const time = snapshot.timestamp;
+        this.clearLinks();
+        this.fields = [];
+        this.portalStates.forEach(p => { p.team = 'NEUTRAL'; });
+        this.portalResonators = new Map();
+        this.rescheduleDecay();
+        this.now = time;
+
+        const addPortal = (p, team = 'NEUTRAL') => {
+            if (!this.portalStates.has(p.id)) {
+                this.portalStates.set(p.id, { id: p.id, lat: p.lat, lng: p.lng, team: 'NEUTRAL' });
+            }
+            // A link or field end without its own portal entity still shows the team
+            if (team !== 'NEUTRAL' && this.portalStates.get(p.id).team === 'NEUTRAL') {
+                this.portalStates.get(p.id).team = team;
+                this.resetResonators(p.id, 8, time, true);
+            }
+        };
+
+        snapshot.portals.forEach(p => {
+            addPortal(p);
+            this.portalStates.get(p.id).team = p.team;
+            const count = p.team === 'NEUTRAL' ? 0 : (p.resCount ?? 8);
+            this.resetResonators(p.id, count, time, p.team !== 'NEUTRAL' && p.resCount === null);
+        });
+        snapshot.links.forEach(l => {
+            addPortal(l.p1, l.team);
+            addPortal(l.p2, l.team);
+            this.addLink(l.p1.id, l.p2.id, l.team);
+        });
+        snapshot.fields.forEach(f => {
+            f.points.forEach(p => addPortal(p, f.team));
+            const [p1, p2, p3] = f.points.map(p => p.id);
+            this.fields.push({ p1, p2, p3, team: f.team });
+        });
+    }
+
+    /**
+     * Undo actions, newest first, to get from a snapshot back to an earlier state.
+     * Intel reports every destroyed link with both portals, so those come back exactly.
+     * Destroyed fields only name one portal, they come back if exactly one triangle of links through it is free.
+     * Rewound portals count as inferred.
+     * @param {Object[]} actions - Actions after the wanted time up to the snapshot, oldest first
+     * @param {number} time - The wanted time, nothing of the rewound state is newer
+     * @returns {number} Number of actions that changed the state
+     */
+    rewind(actions, time) {
+        const OPPOSITE = { RES: 'ENL', ENL: 'RES' };
+        // Links of a timestamp have to be back before the fields of the same timestamp
+        const ordered = [...actions].sort((a, b) => b.timestamp - a.timestamp || (a.type === 'field') - (b.type === 'field'));
+        let undone = 0;
+
+        for (const action of ordered) {
+            const p1Id = action.portal_id;
+            const p2Id = action.target_portal_id;
+            const team = this.getActionTeam(action);
+            const portal = this.portalStates.get(p1Id);
+            let changed = false;
+
+            if (action.type === 'link' && action.action === 'destroy') {
+                if (p1Id && p2Id && this.portalStates.has(p2Id) && portal) {
+                    const key = this.getLinkKey(p1Id, p2Id);
+                    changed = !this.links.has(key);
+                    this.addLink(p1Id, p2Id, portal.team !== 'NEUTRAL' ? portal.team : OPPOSITE[team] || null);
+                }
+            } else if (action.type === 'link') {
+                if (p1Id && p2Id) changed = this.deleteLink(this.getLinkKey(p1Id, p2Id));
+            } else if (action.type === 'field' && action.action === 'destroy') {
+                changed = this.restoreField(p1Id, OPPOSITE[team] || null);
+            } else if (!portal) {
+                continue;
+            } else if (action.type === 'reso' && action.action === 'destroy') {
+                // The resonator was there before, and so was its owner
+                const resonators = this.getResonators(p1Id);
+                if (resonators.charges.length < 8) resonators.charges.push(action.timestamp);
+                resonators.destroyed = Math.max(resonators.destroyed - 1, 0);
+                if (portal.team === 'NEUTRAL' && OPPOSITE[team]) changed = this.setPortalTeam(p1Id, OPPOSITE[team]);
+            } else if (action.type === 'reso' && action.action.startsWith('deploy')) {
+                const resonators = this.getResonators(p1Id);
+                resonators.charges.pop();
+                resonators.deployed = Math.max(resonators.deployed - 1, 0);
+            } else if (action.type === 'portal' && action.action.startsWith('captured')) {
+                // Only neutral portals can be captured
+                this.getResonators(p1Id).charges = [];
+                this.removeLinksAttachedTo(p1Id);
+                changed = this.setPortalTeam(p1Id, 'NEUTRAL');
+            } else if (action.type === 'portal' && action.action === 'destroy') {
+                if (OPPOSITE[team]) {
+                    const resonators = this.getResonators(p1Id);
+                    if (resonators.charges.length === 0) resonators.charges.push(action.timestamp);
+                    changed = this.setPortalTeam(p1Id, OPPOSITE[team]);
+                }
+            }
+
+            if (portal) this.getResonators(p1Id).inferred = true;
+            if (changed) undone++;
+        }
+
+        if (time !== undefined) {
+            const cap = (t) => t === null ? null : Math.min(t, time);
+            this.portalResonators.forEach(resonators => {
+                resonators.charges = resonators.charges.map(cap);
+                resonators.lastActivity = cap(resonators.lastActivity);
+                resonators.observedAt = cap(resonators.observedAt);
+            });
+        }
+        this.rescheduleDecay();
+        this.now = null;
+        return undone;
+    }
+
+    /**
+     * Add back a destroyed field at a portal, if exactly one triangle of existing links through it has no field yet.
+     * @param {string} portalId
+     * @param {string|null} team - Team of the field if known
+     * @returns {boolean} True if a field was added
+     */
+    restoreField(portalId, team) {
+        if (!this.portalStates.has(portalId)) return false;
+        const owner = team || this.portalStates.get(portalId).team;
+        const neighbors = this.getNeighbors(portalId, owner);
+
+        const candidates = [];
+        neighbors.forEach((n1, i) => {
+            neighbors.slice(i + 1).forEach(n2 => {
+                if (this.links.get(this.getLinkKey(n1, n2))?.team !== owner) return;
+                const ids = [portalId, n1, n2];
+                const exists = this.fields.some(f => ids.every(id => [f.p1, f.p2, f.p3].includes(id)));
+                if (!exists) candidates.push({ p1: portalId, p2: n1, p3: n2, team: owner });
+            });
+        });
+
+        if (candidates.length !== 1) return false;
+        this.fields.push(candidates[0]);
+        return true;
+    }
+
+    /**
+     * Add a link to the links, the adjacency map and the spatial index. An existing link only changes its team.
+     * Links to portals without a position are not in the spatial index, they can not cross anything.
+     */
+    addLink(id1, id2, team) {
+        const key = this.getLinkKey(id1, id2);
+        if (this.links.has(key)) {
+            this.links.get(key).team = team;
+            return;
+        }
+
+        const [p1, p2] = [id1, id2].sort();
+        this.links.set(key, { key, p1, p2, team });
+        [p1, p2].forEach(id => {
+            if (!this.adjacency.has(id)) this.adjacency.set(id, new Set());
+            this.adjacency.get(id).add(key);
+        });
+
+        const a = this.portalStates.get(p1);
+        const b = this.portalStates.get(p2);
+        if (a && b) this.linkIndex.insert(key, a, b);
+    }
+
+    /**
+     * Keys of the links at a portal.
+     * @returns {string[]}
+     */
+    getLinksAt(portalId) {
+        return [...(this.adjacency.get(portalId) || [])];
+    }
+
+    clearLinks() {
+        this.links = new Map();
+        this.adjacency = new Map();
+        this.linkIndex.clear();
+    }
+
     /**
      * CORE FUNCTION: Deletes a specific link AND any field that depends on it.
      * Use this whenever a link needs to be removed.
      */
     deleteLink(linkKey) {
-        if (!this.links.has(linkKey)) return false;
+        const link = this.links.get(linkKey);
+        if (!link) return false;
 
         // 1. Remove the Link
         this.links.delete(linkKey);
+        this.linkIndex.remove(linkKey);
+        [link.p1, link.p2].forEach(id => {
+            const keys = this.adjacency.get(id);
+            keys.delete(linkKey);
+            if (keys.size === 0) this.adjacency.delete(id);
+        });
         
         // 2. Remove dependent Fields
         // A field is defined by 3 edges. If this link was ONE of them, the field dies.
-        const [l1, l2] = linkKey.split('-');
+        const { p1: l1, p2: l2 } = link;
         const initialFieldCount = this.fields.length;
         
         this.fields = this.fields.filter(f => {
@@ -168,10 +635,7 @@ class IngressStateSimulator {
         let changed = false;
 
         // 1. Find all links connected to this portal
-        const linksToRemove = [];
-        for (const linkKey of this.links) {
-            if (linkKey.includes(portalId)) linksToRemove.push(linkKey);
-        }
+        const linksToRemove = this.getLinksAt(portalId);
 
         // 2. Delete them using the safe helper
         linksToRemove.forEach(key => {
@@ -195,13 +659,11 @@ class IngressStateSimulator {
         
         if (!p1 || !p2) return false;
 
-        // Create array copy to safely delete during iteration
-        const currentLinks = Array.from(this.links);
-
-        for (const existingLinkKey of currentLinks) {
-            const [id3, id4] = existingLinkKey.split('-');
-            const p3 = this.portalStates.get(id3);
-            const p4 = this.portalStates.get(id4);
+        // Only links near the new one can cross it, query returns a copy so deleting is safe
+        for (const existingLinkKey of this.linkIndex.query(p1, p2)) {
+            const link = this.links.get(existingLinkKey);
+            const p3 = this.portalStates.get(link.p1);
+            const p4 = this.portalStates.get(link.p2);
 
             if (!p3 || !p4) continue;
 
@@ -213,23 +675,30 @@ class IngressStateSimulator {
         return changed;
     }
 
+    // Links are great circle arcs (see lib/geo.js)
     doLinksIntersect(a, b, c, d) {
-        if (a.id === c.id || a.id === d.id || b.id === c.id || b.id === d.id) return false;
-        const ccw1 = this.calculateCrossProduct(a, b, c);
-        const ccw2 = this.calculateCrossProduct(a, b, d);
-        const ccw3 = this.calculateCrossProduct(c, d, a);
-        const ccw4 = this.calculateCrossProduct(c, d, b);
-        return (ccw1 * ccw2 < 0) && (ccw3 * ccw4 < 0);
+        return linksIntersect(a, b, c, d);
     }
 
-    detectAndCreateFields(id1, id2, team) {
-        let fieldsAdded = false;
+    /**
+     * Create the fields closed by a new link, following the game rules:
+     * - Only links of the link's own team can close a field
+     * - At most one field per side of the link, the largest one. Smaller triangles under it are not fielded,
+     *   fields made earlier stay as layers underneath.
+     * If field plexts for the link are known, they decide how many fields were made (largest first) and add their MU.
+     * @param {string} id1
+     * @param {string} id2
+     * @param {string} team
+     * @param {{mu: number|null}[]|null} reports - Field plexts of the link, null if there are none
+     * @returns {boolean} True if a field was added
+     */
+    detectAndCreateFields(id1, id2, team, reports = null) {
         const p1 = this.portalStates.get(id1);
         const p2 = this.portalStates.get(id2);
         if (!p1 || !p2) return false; 
 
-        const neighbors1 = this.getNeighbors(id1);
-        const neighbors2 = this.getNeighbors(id2);
+        const neighbors1 = this.getNeighbors(id1, team);
+        const neighbors2 = this.getNeighbors(id2, team);
         const commonNeighbors = neighbors1.filter(n => neighbors2.includes(n));
 
         if (commonNeighbors.length === 0) return false;
@@ -241,46 +710,178 @@ class IngressStateSimulator {
             const p3 = this.portalStates.get(p3Id);
             if (!p3) return;
 
-            const val = this.calculateCrossProduct(p1, p2, p3);
-            const field = { p1: id1, p2: id2, p3: p3Id, team: team, area: Math.abs(val) };
+            const val = side(p1, p2, p3);
+            const field = { p1: id1, p2: id2, p3: p3Id, team: team, area: areaKm2(p1, p2, p3) };
 
             if (val > 0) leftCandidates.push(field);
             else if (val < 0) rightCandidates.push(field);
         });
 
         // Pick largest per side
-        if (leftCandidates.length > 0) {
-            leftCandidates.sort((a, b) => b.area - a.area);
-            const winner = leftCandidates[0];
-            delete winner.area;
-            this.fields.push(winner);
-            fieldsAdded = true;
+        let winners = [leftCandidates, rightCandidates]
+            .filter(candidates => candidates.length > 0)
+            .map(candidates => candidates.sort((a, b) => b.area - a.area)[0])
+            .sort((a, b) => b.area - a.area);
+
+        // The plexts know better, e.g. if a link of the state is a ghost. The larger field has the larger MU.
+        if (reports && reports.length > 0) {
+            const mus = reports.map(r => r.mu).sort((a, b) => (b ?? 0) - (a ?? 0));
+            winners = winners.slice(0, reports.length).map((field, i) => ({ ...field, mu: mus[i] ?? null }));
         }
 
-        if (rightCandidates.length > 0) {
-            rightCandidates.sort((a, b) => b.area - a.area);
-            const winner = rightCandidates[0];
-            delete winner.area;
-            this.fields.push(winner);
+        let fieldsAdded = false;
+        winners.forEach(({ area, mu, ...field }) => {
+            if (this.fields.some(f => [f.p1, f.p2, f.p3].every(id => [field.p1, field.p2, field.p3].includes(id)))) return;
+            this.fields.push(mu !== undefined && mu !== null ? { ...field, mu } : field);
             fieldsAdded = true;
-        }
+        });
 
         return fieldsAdded;
     }
 
-    getNeighbors(id) {
-        const neighbors = [];
-        for (const linkKey of this.links) {
-            if (linkKey.includes(id)) {
-                const parts = linkKey.split('-');
-                neighbors.push(parts[0] === id ? parts[1] : parts[0]);
+    /**
+     * Remember the field plexts of a list of actions, so a new link can be checked against the fields it really made.
+     * @param {Object[]} actions - Actions that will be processed
+     */
+    indexActions(actions) {
+        this.fieldReports = new Map();
+        this.linkEvents = actions
+            .filter(action => action.type === 'link' && action.portal_id && action.target_portal_id)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        actions.forEach(action => {
+            if (action.type !== 'field' || !action.action || !action.action.startsWith('field')) return;
+            if (!this.fieldReports.has(action.timestamp)) this.fieldReports.set(action.timestamp, []);
+            this.fieldReports.get(action.timestamp).push({ portal: action.portal_id, team: this.getActionTeam(action), mu: action.mu ?? null });
+        });
+    }
+
+    /**
+     * Guess the link of a destroy plext that only names one portal.
+     * Candidates are the links at that portal not owned by the attacker. Later link events decide between them:
+     * a link that is destroyed again was still there, a link that is created again or crossed by a new link was gone.
+     * Without such evidence the link to the portal the simulation is least sure about is taken.
+     * @param {Object} action
+     * @returns {{key: string|null, certainty: 'certain'|'likely'|'guess'|'none', reason: string}}
+     */
+    inferDestroyedLink(action) {
+        const portalId = action.portal_id;
+        const attacker = this.getActionTeam(action);
+        const atPortal = this.getLinksAt(portalId).filter(key => !attacker || this.links.get(key).team !== attacker);
+        if (atPortal.length === 0) return { key: null, certainty: 'none', reason: 'no link at this portal' };
+
+        const evidence = new Map(atPortal.map(key => [key, this.findLinkEvidence(key, action.timestamp)]));
+        const candidates = atPortal.filter(key => evidence.get(key).score >= 0);
+        if (candidates.length === 0) return { key: null, certainty: 'none', reason: 'every link at this portal is destroyed later' };
+        if (candidates.length === 1) {
+            const reason = atPortal.length === 1 ? 'only link at this portal' : 'the other links are destroyed later';
+            return { key: candidates[0], certainty: 'certain', reason };
+        }
+
+        candidates.sort((a, b) => evidence.get(b).score - evidence.get(a).score);
+        const [best, second] = candidates;
+        if (evidence.get(best).score > evidence.get(second).score) {
+            return { key: best, certainty: 'likely', reason: `${evidence.get(best).reason}, ${candidates.length} links at this portal` };
+        }
+
+        const tied = candidates.filter(key => evidence.get(key).score === evidence.get(best).score);
+        const otherEnd = (key) => {
+            const { p1, p2 } = this.links.get(key);
+            return p1 === portalId ? p2 : p1;
+        };
+        tied.sort((a, b) => this.getConfidence(otherEnd(a)) - this.getConfidence(otherEnd(b)));
+        return { key: tied[0], certainty: 'guess', reason: `1 of ${tied.length} links, least confident other end` };
+    }
+
+    /**
+     * Look for later link events that show whether a link still existed after a point in time.
+     * @param {string} key - Link key
+     * @param {number} time
+     * @returns {{score: number, reason: string}} -1: still there later, 0: no evidence, 1: crossed by a new link, 2: linked again
+     */
+    findLinkEvidence(key, time) {
+        const link = this.links.get(key);
+        const a = this.portalStates.get(link.p1);
+        const b = this.portalStates.get(link.p2);
+
+        // First link event at or after the time
+        let low = 0;
+        let high = this.linkEvents.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.linkEvents[mid].timestamp < time) low = mid + 1;
+            else high = mid;
+        }
+
+        for (let i = low; i < this.linkEvents.length && this.linkEvents[i].timestamp <= time + LINK_LOOKAHEAD_MS; i++) {
+            const event = this.linkEvents[i];
+            if (this.getLinkKey(event.portal_id, event.target_portal_id) === key) {
+                return event.action === 'destroy'
+                    ? { score: -1, reason: 'destroyed again later' }
+                    : { score: 2, reason: 'linked again later' };
             }
+            if (event.action === 'destroy' || !a || !b) continue;
+
+            const c = this.portalStates.get(event.portal_id);
+            const d = this.portalStates.get(event.target_portal_id);
+            if (c && d && this.doLinksIntersect(a, b, c, d)) return { score: 1, reason: 'crossed by a later link' };
         }
-        return neighbors;
+        return { score: 0, reason: 'no later evidence' };
+    }
+
+    /**
+     * Field plexts sent with a link action: same time, anchored at one of its portals, same team.
+     * @returns {Object[]|null} Null if there are none
+     */
+    getFieldReports(action) {
+        const reports = (this.fieldReports.get(action.timestamp) || []).filter(r =>
+            (r.portal === action.portal_id || r.portal === action.target_portal_id) && (!r.team || r.team === this.getActionTeam(action)));
+        return reports.length > 0 ? reports : null;
+    }
+
+    /**
+     * Remove the fields that cover a portal. Used when a link starts there, which the game does not allow under a field.
+     * @param {string} portalId
+     * @returns {boolean} True if a field was removed
+     */
+    removeFieldsCovering(portalId) {
+        const portal = this.portalStates.get(portalId);
+        if (!portal) return false;
+
+        const before = this.fields.length;
+        this.fields = this.fields.filter(f => !this.isInsideField(portal, f));
+        return this.fields.length < before;
+    }
+
+    /**
+     * Check if a portal lies strictly inside a field. The corners of a field are not inside.
+     */
+    isInsideField(portal, field) {
+        const corners = [field.p1, field.p2, field.p3].map(id => this.portalStates.get(id));
+        if (corners.includes(undefined) || corners.some(c => c.id === portal.id)) return false;
+
+        return isInsideTriangle(portal, ...corners);
+    }
+
+    /**
+     * Real area of a field on the earth, null if a corner is unknown.
+     * @returns {number|null} Square kilometres
+     */
+    getFieldArea(field) {
+        const corners = [field.p1, field.p2, field.p3].map(id => this.portalStates.get(id));
+        return corners.includes(undefined) ? null : areaKm2(...corners);
     }
 
-    calculateCrossProduct(a, b, c) {
-        return (b.lng - a.lng) * (c.lat - a.lat) - (b.lat - a.lat) * (c.lng - a.lng);
+    /**
+     * Portals linked to a portal, only by links of one team if given.
+     */
+    getNeighbors(id, team = null) {
+        const neighbors = [];
+        for (const linkKey of this.adjacency.get(id) || []) {
+            const link = this.links.get(linkKey);
+            if (team && link.team !== team) continue;
+            neighbors.push(link.p1 === id ? link.p2 : link.p1);
+        }
+        return neighbors;
     }
 
     setPortalTeam(id, team) {
@@ -296,12 +897,13 @@ class IngressStateSimulator {
 
     getCurrentState() {
         return {
-            portals: Array.from(this.portalStates.values()),
-            links: Array.from(this.links).map(k => {
-                const [a, b] = k.split('-');
-                return { p1: a, p2: b };
-            }),
-            fields: this.fields
+            portals: Array.from(this.portalStates.values()).map(p => ({
+                ...p,
+                resonators: this.getResonators(p.id).charges.length,
+                confidence: this.getConfidence(p.id),
+            })),
+            links: Array.from(this.links.values()).map(({ p1, p2, team }) => ({ p1, p2, team })),
+            fields: this.fields.map(f => ({ ...f, areaKm2: this.getFieldArea(f) }))
         };
     }
 }
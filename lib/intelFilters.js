@@ -0,0 +1,164 @@
+/**
+ * Intel portal level & layer filters.
+ * Intel has no URL parameters for its filters, so they are set by clicking the filter UI.
+ * The default selectors are not checked against every Intel version. If the manifest warns about levels or toggles
+ * that are not found, override them in the project config.
+ */
+
+const DEFAULT_SELECTORS = {
+    // Level notches, {level} is replaced with 0-8 (0 = unclaimed portals)
+    levelLow: '#level_low{level}',
+    levelHigh: '#level_high{level}',
+    // Clickable layer toggles, matched by their text
+    layerToggle: '#filters_container .filter_toggle, #filters_container label',
+    layerLabels: { portals: 'Portals', links: 'Links', fields: 'Fields' },
+    // Class of selected notches and enabled toggles
+    selectedClass: 'selected',
+};
+
+/**
+ * Normalize the filter settings from the project config.
+ * @param {Object} intelFilters - { minLevel, maxLevel, portals, links, fields, selectors }
+ * @returns {Object|null} Null if no filters are configured
+ */
+const resolveFilters = (intelFilters) => {
+    if (!intelFilters) return null;
+
+    const filters = {
+        minLevel: intelFilters.minLevel ?? null,
+        maxLevel: intelFilters.maxLevel ?? null,
+        layers: {},
+        selectors: {
+            ...DEFAULT_SELECTORS,
+            ...(intelFilters.selectors || {}),
+            layerLabels: { ...DEFAULT_SELECTORS.layerLabels, ...((intelFilters.selectors || {}).layerLabels || {}) },
+        },
+    };
+
+    ['portals', 'links', 'fields'].forEach(layer => {
+        if (typeof intelFilters[layer] === 'boolean') filters.layers[layer] = intelFilters[layer];
+    });
+
+    [filters.minLevel, filters.maxLevel].forEach(level => {
+        if (level !== null && !(Number.isInteger(level) && level >= 0 && level <= 8)) {
+            throw new Error(`Invalid portal level filter '${level}', use 0-8.`);
+        }
+    });
+    if (filters.minLevel !== null && filters.maxLevel !== null && filters.minLevel > filters.maxLevel) {
+        throw new Error("Portal level filter: minLevel is higher than maxLevel.");
+    }
+
+    return filters;
+}
+
+/**
+ * Selectors of the filter UI as used in the page, with one level selector per level 0-8.
+ * @param {Object} filters - Resolved filters
+ * @returns {{levelLow: string[], levelHigh: string[], layerToggle: string, layerLabels: Object, selectedClass: string}}
+ */
+const buildSelectors = (filters) => {
+    const levels = (template) => Array.from({ length: 9 }, (_, level) => template.replaceAll('{level}', level));
+    return {
+        ...filters.selectors,
+        levelLow: levels(filters.selectors.levelLow),
+        levelHigh: levels(filters.selectors.levelHigh),
+    };
+}
+
+/**
+ * Read the current filter state from the Intel UI.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} filters - Resolved filters
+ * @returns {Promise<{minLevel: number|null, maxLevel: number|null, layers: Object, found: Object}>}
+ */
+const readFilterState = async (page, filters) => {
+    return page.evaluate((selectors) => {
+        const isSelected = (el) => el.classList.contains(selectors.selectedClass) ||
+            !!el.querySelector('input:checked') || el.getAttribute('aria-pressed') === 'true';
+
+        const selectedLevel = (levelSelectors) => {
+            const level = levelSelectors.findIndex(selector => {
+                const el = document.querySelector(selector);
+                return el && isSelected(el);
+            });
+            return level >= 0 ? level : null;
+        };
+
+        const layers = {};
+        const found = {};
+        const toggles = Array.from(document.querySelectorAll(selectors.layerToggle));
+        Object.entries(selectors.layerLabels).forEach(([layer, label]) => {
+            const el = toggles.find(t => t.textContent.trim() === label);
+            found[layer] = !!el;
+            if (el) layers[layer] = isSelected(el);
+        });
+
+        return {
+            minLevel: selectedLevel(selectors.levelLow),
+            maxLevel: selectedLevel(selectors.levelHigh),
+            layers,
+            found,
+        };
+    }, buildSelectors(filters));
+}
+
+/**
+ * List the differences between the wanted filters and the current state.
+ * @param {Object} filters - Resolved filters
+ * @param {Object} state - From readFilterState
+ * @returns {string[]} Empty if everything matches
+ */
+const filterMismatches = (filters, state) => {
+    const mismatches = [];
+    if (filters.minLevel !== null && state.minLevel !== filters.minLevel) mismatches.push(`minLevel is ${state.minLevel}, wanted ${filters.minLevel}`);
+    if (filters.maxLevel !== null && state.maxLevel !== filters.maxLevel) mismatches.push(`maxLevel is ${state.maxLevel}, wanted ${filters.maxLevel}`);
+    Object.entries(filters.layers).forEach(([layer, wanted]) => {
+        if (!state.found[layer]) mismatches.push(`${layer} toggle not found`);
+        else if (state.layers[layer] !== wanted) mismatches.push(`${layer} is ${state.layers[layer] ? 'on' : 'off'}, wanted ${wanted ? 'on' : 'off'}`);
+    });
+    return mismatches;
+}
+
+/**
+ * Click the Intel filter UI until it matches the wanted filters.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} filters - Resolved filters
+ * @returns {Promise<Boolean>} True if anything was clicked, so the map data reloads
+ */
+const applyFilters = async (page, filters) => {
+    const state = await readFilterState(page, filters);
+    if (filterMismatches(filters, state).length === 0) return false;
+
+    return page.evaluate(({ selectors, wanted, state }) => {
+        let clicked = false;
+        const click = (selector) => {
+            const el = document.querySelector(selector);
+            if (!el) return;
+            el.click();
+            clicked = true;
+        };
+
+        if (wanted.minLevel !== null && state.minLevel !== wanted.minLevel) click(selectors.levelLow[wanted.minLevel]);
+        if (wanted.maxLevel !== null && state.maxLevel !== wanted.maxLevel) click(selectors.levelHigh[wanted.maxLevel]);
+
+        const toggles = Array.from(document.querySelectorAll(selectors.layerToggle));
+        Object.entries(wanted.layers).forEach(([layer, on]) => {
+            if (state.layers[layer] === undefined || state.layers[layer] === on) return;
+            const el = toggles.find(t => t.textContent.trim() === selectors.layerLabels[layer]);
+            if (el) {
+                el.click();
+                clicked = true;
+            }
+        });
+        return clicked;
+    }, { selectors: buildSelectors(filters), wanted: { minLevel: filters.minLevel, maxLevel: filters.maxLevel, layers: filters.layers }, state });
+}
+
+module.exports = {
+    DEFAULT_SELECTORS,
+    applyFilters,
+    buildSelectors,
+    filterMismatches,
+    readFilterState,
+    resolveFilters
+};
@@ -0,0 +1,81 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MANIFEST_FILE = 'manifest.ndjson';
+
+/**
+ * Capture Manifest
+ * Append-only NDJSON log next to the screenshots with one entry per captured or missed frame.
+ * Entries look like:
+ * { status: 'captured'|'missed'|'duplicate', session, slot, scheduledAt, timestamp, file, target, url, viewport, loadMs, retries, warnings, reason }
+ * Duplicates of the previous frame are either captured with `duplicate: true` or, if dropped, have status 'duplicate' and `duplicateOf`.
+ * @constructor
+ * @param {string} directory - The screenshot directory the manifest belongs to.
+ * @param {number} session - Identifies the run that wrote an entry. Default is the current time.
+ */
+class CaptureManifest {
+    constructor(directory, session = Date.now()) {
+        this.directory = directory;
+        this.session = session;
+        this.filePath = path.join(directory, MANIFEST_FILE);
+    }
+
+    /**
+     * Append a single entry. Written synchronously, so a crash never loses a written frame.
+     * @param {Object} entry
+     */
+    append(entry) {
+        fs.appendFileSync(this.filePath, JSON.stringify({ session: this.session, ...entry }) + '\n');
+    }
+
+    /**
+     * Check if a directory has a manifest.
+     * @param {string} directory
+     * @returns {boolean}
+     */
+    static exists(directory) {
+        return fs.existsSync(path.join(directory, MANIFEST_FILE));
+    }
+
+    /**
+     * Read all entries of a manifest. Broken lines (e.g. from a crash mid-write) are skipped.
+     * @param {string} directory
+     * @returns {Object[]}
+     */
+    static read(directory) {
+        const filePath = path.join(directory, MANIFEST_FILE);
+        if (!fs.existsSync(filePath)) return [];
+
+        const entries = [];
+        fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (err) {
+                console.warn(`Skipping broken manifest line ${index + 1} in ${filePath}`);
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Build the frame timeline of a directory, ordered by time.
+     * A file written several times (e.g. by a repeated simulation) only counts once, with its latest entry.
+     * @param {string} directory
+     * @returns {Object[]} Entries with status 'captured', 'missed' or 'duplicate'
+     */
+    static timeline(directory) {
+        const captured = new Map();
+        const withoutFile = new Map();
+
+        CaptureManifest.read(directory).forEach(entry => {
+            if (entry.status === 'captured' && entry.file) captured.set(entry.file, entry);
+            else if (entry.status === 'missed' || entry.status === 'duplicate') withoutFile.set(`${entry.session}-${entry.scheduledAt}`, entry);
+        });
+
+        const time = (entry) => entry.scheduledAt || entry.timestamp;
+        return [...captured.values(), ...withoutFile.values()].sort((a, b) => time(a) - time(b));
+    }
+}
+
+module.exports = { CaptureManifest, MANIFEST_FILE };
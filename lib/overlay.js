@@ -0,0 +1,149 @@
+/**
+ * Timestamp & caption overlay, shared by live captures and the history simulation so both look the same.
+ */
+
+const OVERLAY_ID = 'cheap-ice-overlay';
+
+const DEFAULT_OVERLAY = {
+    position: 'top-right',
+    font: '32px monospace',
+    color: '#0f0',
+    background: 'rgba(0,0,0,0.8)',
+    border: '1px solid #0f0',
+    timeZone: undefined, // System time zone
+    dateFormat: 'YYYY-MM-DD HH:mm:ss',
+    title: null,
+    text: null,
+};
+
+const POSITIONS = {
+    'top-left': 'top: 20px; left: 20px;',
+    'top-center': 'top: 20px; left: 50%; transform: translateX(-50%);',
+    'top-right': 'top: 20px; right: 20px;',
+    'bottom-left': 'bottom: 20px; left: 20px;',
+    'bottom-center': 'bottom: 20px; left: 50%; transform: translateX(-50%);',
+    'bottom-right': 'bottom: 20px; right: 20px;',
+};
+
+/**
+ * Merge overlay settings with the defaults and validate them.
+ * @param {Object} overlay - Overlay settings from the project config
+ * @returns {Object}
+ */
+const resolveOverlay = (overlay = {}) => {
+    const options = { ...DEFAULT_OVERLAY, ...(overlay || {}) };
+    if (!POSITIONS[options.position]) {
+        throw new Error(`Unknown overlay position '${options.position}'. Use one of: ${Object.keys(POSITIONS).join(', ')}`);
+    }
+    // Throws a RangeError for unknown time zones
+    new Intl.DateTimeFormat('en-US', { timeZone: options.timeZone });
+    return options;
+}
+
+/**
+ * Format a timestamp with a simple pattern.
+ * Tokens: YYYY, MM, DD, HH, mm, ss and Z (time zone name). Everything else is kept as is.
+ * @param {number} timestamp - Milliseconds
+ * @param {string} format - Default is 'YYYY-MM-DD HH:mm:ss'
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'. Default is the system time zone.
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp, format = DEFAULT_OVERLAY.dateFormat, timeZone = undefined) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hourCycle: 'h23', timeZoneName: 'short',
+    }).formatToParts(new Date(timestamp)).forEach(p => parts[p.type] = p.value);
+
+    const tokens = {
+        YYYY: parts.year,
+        MM: parts.month,
+        DD: parts.day,
+        HH: parts.hour,
+        mm: parts.minute,
+        ss: parts.second,
+        Z: parts.timeZoneName,
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss|Z/g, token => tokens[token]);
+}
+
+/**
+ * CSS for the overlay element.
+ * @param {Object} options - Resolved overlay settings
+ * @returns {string}
+ */
+const buildOverlayCss = (options) => `
+    #${OVERLAY_ID} {
+        position: fixed; ${POSITIONS[options.position]}
+        z-index: 10000;
+        color: ${options.color}; font: ${options.font};
+        background: ${options.background}; border: ${options.border};
+        padding: 10px; white-space: pre; text-align: center;
+        pointer-events: none;
+    }
+`;
+
+/**
+ * Text lines of the overlay for a timestamp: title, time and custom text.
+ * @param {Object} options - Resolved overlay settings
+ * @param {number} timestamp - Milliseconds
+ * @returns {string}
+ */
+const buildOverlayText = (options, timestamp) => {
+    return [options.title, formatTimestamp(timestamp, options.dateFormat, options.timeZone), options.text]
+        .filter(line => line)
+        .join('\n');
+}
+
+/**
+ * Add or update the overlay on a page.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} options - Resolved overlay settings
+ * @param {number} timestamp - Milliseconds
+ * @returns {Promise<void>}
+ */
+const applyOverlay = async (page, options, timestamp) => {
+    await page.evaluate(({ id, css, text }) => {
+        let style = document.getElementById(`${id}-style`);
+        if (!style) {
+            style = document.createElement('style');
+            style.id = `${id}-style`;
+            document.head.appendChild(style);
+        }
+        style.textContent = css;
+
+        let element = document.getElementById(id);
+        if (!element) {
+            element = document.createElement('div');
+            element.id = id;
+            document.body.appendChild(element);
+        }
+        element.textContent = text;
+    }, { id: OVERLAY_ID, css: buildOverlayCss(options), text: buildOverlayText(options, timestamp) });
+}
+
+/**
+ * Get the area the overlay covers on a page, so frame comparisons can ignore the changing timestamp.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{x: number, y: number, width: number, height: number}|null>}
+ */
+const getOverlayBounds = async (page) => {
+    return page.evaluate((id) => {
+        const element = document.getElementById(id);
+        if (!element) return null;
+        const rect = element.getBoundingClientRect();
+        return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    }, OVERLAY_ID);
+}
+
+module.exports = {
+    OVERLAY_ID,
+    applyOverlay,
+    getOverlayBounds,
+    buildOverlayCss,
+    buildOverlayText,
+    formatTimestamp,
+    resolveOverlay
+};
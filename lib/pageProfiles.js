@@ -0,0 +1,129 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * CSS every profile gets: the map in fullscreen, without Google controls but with the copyright.
+ */
+const BASE_CSS = `
+        /* Reset Dashboard to Fullscreen */
+        #dashboard_container {
+            position: fixed !important;
+            top: 0 !important;
+            left: 0 !important;
+            width: 100vw !important;
+            height: 100vh !important;
+            z-index: 9999 !important;
+            background: #000 !important;
+        }
+        #map_canvas {
+            width: 100% !important;
+            height: 100% !important;
+        }
+
+        .gm-style-mtc,              /* Map/Satellite Toggle */
+        .gm-style-mtc-bbw,          /* Map/Satellite Toggle Container */
+        .gm-bundled-control,        /* Zoom & Pegman Cluster */
+        .gm-fullscreen-control,     /* Fullscreen Button */
+        .gm-svpc,                   /* Street View Pegman Control */
+        .gmp-internal-camera-control /* 3D Camera/Tilt controls */
+        {
+            display: none !important;
+        }
+
+        /* Keep Google Maps Copyright */
+        .gm-style-cc {
+            display: block !important;
+        }
+        a[href*="google.com/maps"] img {
+            display: block !important;
+        }
+`;
+
+/**
+ * Intel UI elements hidden by the default profile.
+ */
+const INTEL_UI_ELEMENTS = [
+    '#header', '#chat', '#comm', '#game_stats', '#player_stats',
+    '#geotools', '#filters_container', '#portal_filter_header',
+    '#tm_button', '#shard_jumps_link', '#updatestatus',
+    '.img_snap',
+];
+
+const DEFAULT_PROFILE = 'clean map';
+
+const BUILTIN_PROFILES = {
+    'clean map': { hide: INTEL_UI_ELEMENTS },
+    'with scores': { hide: INTEL_UI_ELEMENTS.filter(s => s !== '#game_stats') },
+    'with comm': { hide: INTEL_UI_ELEMENTS.filter(s => s !== '#chat' && s !== '#comm') },
+};
+
+/**
+ * Resolve a cleanup profile by name into the CSS and script to apply before every screenshot.
+ * Custom profiles extend a built-in or other custom profile ('clean map' if not set) and can:
+ * - hide: Additional selectors to hide
+ * - show: Selectors from the extended profile to keep visible
+ * - css: Path to an extra CSS file
+ * - script: Path to a JavaScript file that runs in the page before every screenshot
+ * Paths are relative to baseDir.
+ * @param {string} name - Profile name. Default is 'clean map'.
+ * @param {Object} customProfiles - Profiles from the project config, by name
+ * @param {string} baseDir - Directory to resolve css and script paths against
+ * @returns {{name: string, css: string, scripts: {file: string, source: string}[]}} Scripts of the extended profiles first
+ */
+const resolveProfile = (name = DEFAULT_PROFILE, customProfiles = {}, baseDir = process.cwd()) => {
+    const custom = customProfiles || {};
+
+    // A custom profile with the name of a built-in one extends the built-in one
+    const collect = (profileName, seen = [], builtinOnly = false) => {
+        const profile = builtinOnly ? null : custom[profileName];
+        if (!profile) {
+            const builtin = BUILTIN_PROFILES[profileName];
+            if (!builtin) throw new Error(`Unknown cleanup profile '${profileName}'. Available: ${[...new Set([...Object.keys(BUILTIN_PROFILES), ...Object.keys(custom)])].join(', ')}`);
+            return { hide: [...builtin.hide], cssFiles: [], scriptFiles: [] };
+        }
+        if (seen.includes(profileName)) throw new Error(`Cleanup profile '${profileName}' extends itself.`);
+
+        const parentName = profile.extends || DEFAULT_PROFILE;
+        const parent = parentName === profileName
+            ? collect(parentName, seen, true)
+            : collect(parentName, [...seen, profileName]);
+
+        const show = profile.show || [];
+        return {
+            hide: [...parent.hide.filter(s => !show.includes(s)), ...(profile.hide || [])],
+            cssFiles: profile.css ? [...parent.cssFiles, profile.css] : parent.cssFiles,
+            scriptFiles: profile.script ? [...parent.scriptFiles, profile.script] : parent.scriptFiles,
+        };
+    };
+
+    const readFile = (file) => {
+        const filePath = path.resolve(baseDir, file);
+        if (!fs.existsSync(filePath)) throw new Error(`File of cleanup profile '${name}' not found: ${filePath}`);
+        return fs.readFileSync(filePath, 'utf8');
+    };
+
+    const { hide, cssFiles, scriptFiles } = collect(name);
+
+    let css = BASE_CSS;
+    if (hide.length > 0) {
+        css += `
+        /* Remove unwanted UI Elements */
+        ${hide.join(', ')} {
+            display: none !important;
+        }
+`;
+    }
+    cssFiles.forEach(file => css += `\n/* ${file} */\n${readFile(file)}\n`);
+
+    return {
+        name,
+        css,
+        scripts: scriptFiles.map(file => ({ file, source: readFile(file) })),
+    };
+}
+
+module.exports = {
+    BUILTIN_PROFILES,
+    DEFAULT_PROFILE,
+    resolveProfile
+};
@@ -0,0 +1,233 @@
+/**
+ * getPlexts fetching with pacing, retries and session refresh.
+ * The HTTP request itself is passed in, so the fetcher runs against Intel in the browser as well as against a local mock endpoint
+ * (see test/plextFetcher.test.js).
+ * loadPlextPayload and requestPlexts are the browser side for an Intel page, requestIntel also serves other Intel endpoints.
+ */
+
+const LOGIN_PAGE_TEXT = "Welcome to Ingress.";
+
+const DEFAULT_FETCH_OPTIONS = {
+    minDelayMs: 1500,        // Pause between two requests
+    maxRetries: 6,           // Retries of a single page on throttling and temporary errors
+    backoffMs: 2000,         // First retry delay, doubled on every retry
+    maxBackoffMs: 120000,
+    maxRefreshes: 3,         // Page reloads to get a new CSRF token / Intel version per page
+};
+
+/**
+ * Why a page could not be fetched.
+ * reason: 'throttled' | 'server error' | 'network error' | 'session' | 'login' | 'bad response'
+ */
+class PlextFetchError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PlextFetchError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Classify a getPlexts response.
+ * @param {{status: number, body: Object|null, text: string|null, error: string|null, retryAfter: string|null}} response
+ * @returns {{kind: 'ok'|'end'|'throttled'|'transient'|'session'|'login'|'fatal', reason: string, message: string, items: Array}}
+ */
+const classifyResponse = (response) => {
+    const { status = 0, body = null, text = null, error = null } = response || {};
+
+    if (status === 0) return { kind: 'transient', reason: 'network error', message: error || 'No response' };
+    if (text && text.includes(LOGIN_PAGE_TEXT)) return { kind: 'login', reason: 'login', message: 'Intel shows the login page' };
+    if (status === 429) return { kind: 'throttled', reason: 'throttled', message: 'HTTP 429 Too Many Requests' };
+    if (status === 401) return { kind: 'login', reason: 'login', message: 'HTTP 401 Unauthorized' };
+    // Expired CSRF tokens are rejected with 403
+    if (status === 403) return { kind: 'session', reason: 'session', message: 'HTTP 403 Forbidden' };
+    if (status >= 500) return { kind: 'transient', reason: 'server error', message: `HTTP ${status}` };
+    if (status >= 400) return { kind: 'fatal', reason: 'bad response', message: `HTTP ${status}` };
+    if (!body) return { kind: 'transient', reason: 'bad response', message: `No JSON in the response${text ? `: ${text.slice(0, 100)}` : ''}` };
+
+    if (body.error) {
+        const message = String(body.error);
+        if (/rate|limit|throttl|too many/i.test(message)) return { kind: 'throttled', reason: 'throttled', message };
+        // 'out of date' and 'missing version' mean Intel was updated, a reload gets the new version
+        if (/out of date|version|csrf|token/i.test(message)) return { kind: 'session', reason: 'session', message };
+        if (/login|auth|signed out/i.test(message)) return { kind: 'login', reason: 'login', message };
+        return { kind: 'transient', reason: 'server error', message };
+    }
+
+    if (!Array.isArray(body.result)) return { kind: 'transient', reason: 'bad response', message: 'Response without a result list' };
+    if (body.result.length === 0) return { kind: 'end', message: 'No more data', items: [] };
+    return { kind: 'ok', message: 'OK', items: body.result };
+}
+
+/**
+ * Load Intel in a page and capture the payload of its own getPlexts request (tab, map bounds and Intel version).
+ * @param {import('puppeteer').Page} page
+ * @param {string} url
+ * @returns {Promise<Object>}
+ * @throws {PlextFetchError} With reason 'login' if Intel shows the login page
+ */
+const loadPlextPayload = async (page, url) => {
+    const [initialRequest] = await Promise.all([
+        page.waitForRequest(req => req.url().includes('/r/getPlexts') && req.method() === 'POST')
+            .catch(() => null),
+        page.goto(url, { waitUntil: 'domcontentloaded' })
+    ]);
+
+    if (!initialRequest && await isLoginPage(page)) throw new PlextFetchError('login', 'Intel shows the login page');
+
+    if (initialRequest && initialRequest.postData()) return JSON.parse(initialRequest.postData());
+    throw new Error("Failed to capture base payload.");
+}
+
+/**
+ * Check if a page shows the Intel login page.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<boolean>}
+ */
+const isLoginPage = (page) => page.evaluate((text) => !!document.body && document.body.innerText.includes(text), LOGIN_PAGE_TEXT)
+    .catch(() => false);
+
+/**
+ * Send one request to an Intel endpoint from inside an Intel page, so cookies and the CSRF token are the page's own.
+ * @param {import('puppeteer').Page} page
+ * @param {string} endpoint - e.g. '/r/getPlexts'
+ * @param {Object} payload
+ * @returns {Promise<{status: number, body: Object|null, text: string|null, error: string|null, retryAfter: string|null}>}
+ */
+const requestIntel = async (page, endpoint, payload) => {
+    try {
+        return await page.evaluate(async (endpoint, p) => {
+            const CSRF_TOKEN = document.cookie.match(/csrftoken=([\w-]+)/)?.[1] || '';
+            try {
+                const res = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json; charset=UTF-8',
+                        'X-CSRFToken': CSRF_TOKEN
+                    },
+                    body: JSON.stringify(p)
+                });
+                const text = await res.text();
+                let body = null;
+                try { body = JSON.parse(text); } catch (e) { }
+                return { status: res.status, body, text: body ? null : text.slice(0, 2000), error: null, retryAfter: res.headers.get('Retry-After') };
+            } catch (e) {
+                return { status: 0, body: null, text: null, error: e.message, retryAfter: null };
+            }
+        }, endpoint, payload);
+    } catch (error) {
+        // The page itself is gone (navigation, crash)
+        return { status: 0, body: null, text: null, error: error.message, retryAfter: null };
+    }
+}
+
+/**
+ * Send one getPlexts request from inside an Intel page.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} payload
+ */
+const requestPlexts = (page, payload) => requestIntel(page, '/r/getPlexts', payload);
+
+/**
+ * Plext Fetcher
+ * @constructor
+ * @param {Function} request - async (payload) => { status, body, text, error, retryAfter }
+ * @param {Function} refresh - async () => basePayload, reloads Intel for a new CSRF token and version
+ * @param {Object} basePayload - Payload of Intel's own getPlexts request (tab, bounds, version)
+ * @param {Object} options - See DEFAULT_FETCH_OPTIONS
+ * @param {Function} sleep - Replaceable for a mock endpoint without real waiting
+ */
+class PlextFetcher {
+    constructor(request, refresh, basePayload, options = {}, sleep = (ms) => new Promise(r => setTimeout(r, ms))) {
+        this.request = request;
+        this.refresh = refresh;
+        this.basePayload = basePayload;
+        this.options = { ...DEFAULT_FETCH_OPTIONS, ...(options || {}) };
+        this.sleep = sleep;
+        this.lastRequestAt = 0;
+    }
+
+    /**
+     * Fetch one page of plexts, newest first.
+     * Retries throttling and temporary errors with exponential backoff and reloads Intel if the session is stale.
+     * @param {number} minTimestampMs
+     * @param {number} maxTimestampMs
+     * @param {number} deadline - Time (ms) after which no retry is started, the last error is thrown instead
+     * @returns {Promise<Array>} Raw items, empty at the real end of data
+     * @throws {PlextFetchError} If the page could not be fetched
+     */
+    async fetchPage(minTimestampMs, maxTimestampMs, deadline = Infinity) {
+        let retries = 0;
+        let refreshes = 0;
+
+        while (true) {
+            await this.#pace();
+            const response = await this.request({
+                ...this.basePayload,
+                "minTimestampMs": minTimestampMs,
+                "maxTimestampMs": maxTimestampMs,
+                "plextContinuationGuid": ""
+            });
+            const result = classifyResponse(response);
+
+            if (result.kind === 'ok' || result.kind === 'end') return result.items;
+            if (result.kind === 'login') throw new PlextFetchError('login', result.message);
+            if (result.kind === 'fatal') throw new PlextFetchError(result.reason, result.message);
+
+            if (result.kind === 'session') {
+                if (refreshes >= this.options.maxRefreshes) {
+                    throw new PlextFetchError('session', `${result.message} (still after ${refreshes} reloads)`);
+                }
+                refreshes++;
+                console.warn(`getPlexts: ${result.message}. Reloading Intel (${refreshes}/${this.options.maxRefreshes})...`);
+                this.basePayload = await this.refresh();
+                continue;
+            }
+
+            // throttled or transient
+            if (retries >= this.options.maxRetries) {
+                throw new PlextFetchError(result.reason, `${result.message} (still after ${retries} retries)`);
+            }
+            const delay = this.#backoff(retries, response && response.retryAfter);
+            if (Date.now() + delay > deadline) {
+                throw new PlextFetchError(result.reason, `${result.message} (no time left for a retry in ${Math.round(delay / 1000)}s)`);
+            }
+            retries++;
+            console.warn(`getPlexts: ${result.message}. Retry ${retries}/${this.options.maxRetries} in ${Math.round(delay / 1000)}s...`);
+            await this.sleep(delay);
+        }
+    }
+
+    /**
+     * Wait until the minimum delay since the last request has passed.
+     */
+    #pace = async () => {
+        const wait = this.lastRequestAt + this.options.minDelayMs - Date.now();
+        if (this.lastRequestAt > 0 && wait > 0) await this.sleep(wait);
+        this.lastRequestAt = Date.now();
+    }
+
+    /**
+     * Exponential backoff with some jitter, a Retry-After header wins if it is longer.
+     * @param {number} retry - Number of retries so far
+     * @param {string|null} retryAfter - Retry-After header in seconds
+     * @returns {number} Milliseconds
+     */
+    #backoff = (retry, retryAfter) => {
+        const exponential = Math.min(this.options.backoffMs * 2 ** retry, this.options.maxBackoffMs);
+        const jittered = exponential * (0.8 + Math.random() * 0.4);
+        const requested = parseInt(retryAfter, 10) * 1000;
+        return Math.max(jittered, isNaN(requested) ? 0 : Math.min(requested, this.options.maxBackoffMs));
+    }
+}
+
+module.exports = {
+    DEFAULT_FETCH_OPTIONS,
+    PlextFetchError,
+    PlextFetcher,
+    classifyResponse,
+    isLoginPage,
+    loadPlextPayload,
+    requestIntel,
+    requestPlexts
+};
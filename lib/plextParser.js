@@ -0,0 +1,201 @@
+const { parseE6 } = require('./utils.js');
+
+const TEAMS = {
+    RESISTANCE: 'RES',
+    ENLIGHTENED: 'ENL',
+    MACHINA: 'MACHINA',
+};
+
+const MACHINA_AGENT = '__MACHINA__';
+
+/**
+ * Plext rules, checked in order. The first rule whose markup pattern matches the start of the plext wins.
+ * Pattern entries match one markup segment each:
+ * - A string matches the segment type ('PLAYER', 'PORTAL', 'FACTION', ...)
+ * - A RegExp matches a TEXT segment (trimmed, neighbouring TEXT segments are joined). Capture groups are passed to `details`.
+ * Rule fields:
+ * - event: Name of the structured event
+ * - type/action: Values stored in the actions table. `teamAction: true` appends the team, e.g. 'deploy_RES'.
+ * - team: Where the acting team comes from, 'PLAYER' (default) or 'FACTION'
+ * - details: Builds extra event fields from the capture groups
+ * - ignore: Plexts without an effect on the map, they are not stored as actions
+ */
+const RULES = [
+    { event: 'portal_attacked', ignore: true, markup: ['PORTAL', /^is under attack by$/] },
+    { event: 'kinetic_capsule', ignore: true, markup: [/^Your Kinetic Capsule (?:is )?now ready/] },
+    { event: 'drone_returned', ignore: true, markup: [/^Drone returned/] },
+    // Private notices ("Your Portal ... neutralized", "Your Link ... destroyed") repeat public plexts
+    { event: 'notice', ignore: true, markup: [/^Your\b/] },
+
+    { event: 'resonator_deployed', type: 'reso', action: 'deploy', teamAction: true, markup: ['PLAYER', /^deployed an? Resonator on$/, 'PORTAL'] },
+    { event: 'resonator_destroyed', type: 'reso', action: 'destroy', markup: ['PLAYER', /^destroyed an? Resonator on$/, 'PORTAL'] },
+
+    { event: 'link_created', type: 'link', action: 'link', teamAction: true, markup: ['PLAYER', /^linked(?: from)?$/, 'PORTAL', /^to$/, 'PORTAL'] },
+    { event: 'link_destroyed', type: 'link', action: 'destroy', markup: ['PLAYER', /^destroyed the$/, 'FACTION', /^Link$/, 'PORTAL', /^to$/, 'PORTAL'] },
+    { event: 'link_destroyed', type: 'link', action: 'destroy', markup: ['PLAYER', /^destroyed the (?:\w+ )?Link$/, 'PORTAL', /^to$/, 'PORTAL'] },
+    // Some plexts only name one end, the simulator guesses the link (see inferDestroyedLink)
+    { event: 'link_destroyed', type: 'link', action: 'destroy', markup: ['PLAYER', /^destroyed the$/, 'FACTION', /^Link$/, 'PORTAL'] },
+    { event: 'link_destroyed', type: 'link', action: 'destroy', markup: ['PLAYER', /^destroyed the (?:\w+ )?Link$/, 'PORTAL'] },
+
+    {
+        event: 'field_created', type: 'field', action: 'field', teamAction: true,
+        markup: ['PLAYER', /^created a Control Field @$/, 'PORTAL', /^\+\s*([\d,.]+)\s*MUs?$/],
+        details: ([mu]) => ({ mu: parseMU(mu) }),
+    },
+    {
+        event: 'field_destroyed', type: 'field', action: 'destroy',
+        markup: ['PLAYER', /^destroyed a Control Field @$/, 'PORTAL', /^-\s*([\d,.]+)\s*MUs?$/],
+        details: ([mu]) => ({ mu: parseMU(mu) }),
+    },
+    // Older plexts and fields without a MU count
+    { event: 'field_created', type: 'field', action: 'field', teamAction: true, markup: ['PLAYER', /^created a Control Field @$/, 'PORTAL'] },
+    { event: 'field_destroyed', type: 'field', action: 'destroy', markup: ['PLAYER', /^destroyed a Control Field @$/, 'PORTAL'] },
+
+    // Checked after the resonator rules, everything else deployed on a portal is a mod
+    { event: 'mod_deployed', type: 'mod', action: 'deploy', teamAction: true, markup: ['PLAYER', /^deployed an? (.+) on$/, 'PORTAL'], details: ([item]) => ({ item }) },
+    { event: 'mod_destroyed', type: 'mod', action: 'destroy', markup: ['PLAYER', /^destroyed an? (.+) on$/, 'PORTAL'], details: ([item]) => ({ item }) },
+
+    { event: 'portal_captured', type: 'portal', action: 'captured', teamAction: true, markup: ['PLAYER', /^captured$/, 'PORTAL'] },
+    { event: 'portal_neutralized', type: 'portal', action: 'destroy', markup: ['PORTAL', /^neutralized by$/, 'PLAYER'] },
+
+    { event: 'portal_fractured', type: 'portal', action: 'fracture', teamAction: true, markup: ['PLAYER', /fracture/i, 'PORTAL'] },
+    { event: 'portal_fractured', type: 'portal', action: 'fracture', teamAction: true, markup: ['PORTAL', /fracture/i] },
+
+    {
+        event: 'battle_beacon_won', type: 'battlebeacon', action: 'won', teamAction: true, team: 'FACTION',
+        markup: ['FACTION', /^won a CAT-([IVX]+) Battle Beacon on$/, 'PORTAL'],
+        details: ([category]) => ({ category }),
+    },
+];
+
+/**
+ * Parse a MU count like "1,234".
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseMU = (value) => {
+    const mu = parseInt(String(value).replace(/[,.]/g, ''), 10);
+    return isNaN(mu) ? null : mu;
+}
+
+/**
+ * Team of a PLAYER or FACTION markup segment. Machina shows up as its own team or as the __MACHINA__ agent.
+ * @param {Object} segment - Second element of the markup entry
+ * @returns {'RES'|'ENL'|'MACHINA'|null}
+ */
+const teamOf = (segment) => {
+    if (!segment) return null;
+    if (segment.plain === MACHINA_AGENT) return 'MACHINA';
+    return TEAMS[segment.team] || null;
+}
+
+/**
+ * Join neighbouring TEXT segments and drop empty ones, so rules do not depend on how Intel splits the text.
+ * @param {Array} markup
+ * @returns {Array<{type: string, data: Object, text: string}>}
+ */
+const normalizeMarkup = (markup) => {
+    const segments = [];
+    markup.filter(Array.isArray).forEach(([type, data = {}]) => {
+        const previous = segments[segments.length - 1];
+        if (type === 'TEXT' && previous && previous.type === 'TEXT') {
+            previous.text += data.plain || '';
+            return;
+        }
+        segments.push({ type, data, text: type === 'TEXT' ? (data.plain || '') : '' });
+    });
+    return segments
+        .map(segment => segment.type === 'TEXT' ? { ...segment, text: segment.text.trim() } : segment)
+        .filter(segment => segment.type !== 'TEXT' || segment.text !== '');
+}
+
+/**
+ * Match a rule pattern against the start of the markup.
+ * @returns {string[]|null} Capture groups of the text matchers, null if the rule does not match
+ */
+const matchPattern = (pattern, segments) => {
+    if (segments.length < pattern.length) return null;
+
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const matcher = pattern[i];
+        const segment = segments[i];
+        if (typeof matcher === 'string') {
+            if (segment.type !== matcher) return null;
+            continue;
+        }
+        if (segment.type !== 'TEXT') return null;
+        const match = segment.text.match(matcher);
+        if (!match) return null;
+        groups.push(...match.slice(1));
+    }
+    return groups;
+}
+
+const formatPortal = (p) => ({
+    id: p.guid,
+    lat: parseE6(p.latE6),
+    lng: parseE6(p.lngE6),
+    name: p.name,
+    address: p.address,
+    team: p.team // NOTE: This is the CURRENT team, not historical. Rely on action parsing.
+});
+
+/**
+ * Classify a single plext.
+ * @param {Array} item - [guid, timestamp, { plext }]
+ * @returns {Object|null} Null for ignored plexts
+ */
+const parsePlext = (item) => {
+    const [id, timestamp] = item;
+    const plext = (item[2] && item[2].plext) ? item[2].plext : {};
+    const segments = normalizeMarkup(plext.markup || []);
+
+    let rule = null;
+    let groups = [];
+    for (const candidate of RULES) {
+        const match = matchPattern(candidate.markup, segments);
+        if (match) {
+            rule = candidate;
+            groups = match;
+            break;
+        }
+    }
+    if (rule && rule.ignore) return null;
+
+    const player = segments.find(s => s.type === 'PLAYER');
+    const faction = segments.find(s => s.type === 'FACTION');
+    const team = rule && rule.team === 'FACTION' ? teamOf(faction && faction.data) : teamOf(player && player.data);
+    const portals = segments.filter(s => s.type === 'PORTAL').map(s => formatPortal(s.data));
+
+    let action = 'unknown';
+    if (rule) action = rule.teamAction && team ? `${rule.action}_${team}` : rule.action;
+
+    return {
+        id,
+        timestamp,
+        event: rule ? rule.event : 'unknown',
+        type: rule ? rule.type : 'unknown',
+        action,
+        team,
+        player: player ? player.data.plain || null : null,
+        mu: null,
+        ...(rule && rule.details ? rule.details(groups) : {}),
+        text: plext.text || '',
+        cords1: portals[0] || null,
+        cords2: portals[1] || null,
+    };
+}
+
+/**
+ * Parse raw plext data and normalize it
+ * @param {Array} rawList - Items of a getPlexts response: [guid, timestamp, { plext }]
+ * @returns {Object[]} Events with id, timestamp, event, type, action, team, player, mu, cords1 and cords2.
+ * Mods also have `item`, battle beacons `category`.
+ */
+const parsePlexts = (rawList) => {
+    if (!Array.isArray(rawList)) return [];
+    return rawList.map(parsePlext).filter(item => item !== null);
+}
+
+module.exports = { RULES, parsePlext, parsePlexts };
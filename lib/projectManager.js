@@ -1,6 +1,7 @@
 const fs = require('node:fs');
 const path = require('node:path');
-const { getuserInput } = require('./utils.js');
+const { getuserInput, parseTimestampInput } = require('./utils.js');
+const { UsageError } = require('./cli.js');
 
 const fileName = "project.json";
 
@@ -14,8 +15,11 @@ class ProjectManager {
     /**
      * Main method to retrieve configuration.
      * Loops to allow editing specific settings until the user confirms.
+     * @param {Object|null} cliOptions - Parsed command line options, skips the wizard if set
      */
-    async getConfiguration() {
+    async getConfiguration(cliOptions = null) {
+        if (cliOptions) return this.resolveConfiguration(cliOptions);
+
         let config = this.#loadSettings();
 
         // If no config exists, go straight to creation
@@ -30,6 +34,9 @@ class ProjectManager {
             console.log(`2. Height: ${config.screenshotHeight}`);
             console.log(`3. Interval: ${config.screenshotInterval} Seconds`);
             console.log(`4. Intel URL: ${config.intelUrl}`);
+            if (this.mode !== 'history' && Array.isArray(config.targets) && config.targets.length) {
+                console.log(`   Targets (edit in ${fileName}): ${config.targets.map(t => t.name).join(', ')} - Mode: ${config.targetMode || 'pages'}`);
+            }
             
             // Logic to display what "0" means based on mode
             let countDisplay = config.numberOfScreenshots;
@@ -70,6 +77,68 @@ class ProjectManager {
         }
     }
 
+    /**
+     * The --config file if given, otherwise project.json, without any checks. For commands that only need a few settings.
+     * @param {Object} cliOptions - Parsed command line options (see lib/cli.js)
+     * @returns {Object}
+     */
+    loadBaseConfiguration(cliOptions) {
+        return { ...(cliOptions.configFile || this.#loadSettings() || {}) };
+    }
+
+    /**
+     * Builds the configuration from command line options without any prompts.
+     * Base is the --config file if given, otherwise project.json. Flags override the base.
+     * @param {Object} cliOptions - Parsed command line options (see lib/cli.js)
+     * @returns {{config: Object, command: String}}
+     */
+    resolveConfiguration(cliOptions) {
+        const config = this.loadBaseConfiguration(cliOptions);
+
+        const overrides = ['screenshotWidth', 'screenshotHeight', 'screenshotInterval', 'intelUrl', 'numberOfScreenshots', 'historyContextWindow'];
+        overrides.forEach(key => {
+            if (cliOptions[key] !== undefined) config[key] = cliOptions[key];
+        });
+
+        if (cliOptions.duration !== undefined) {
+            const durationSec = this.#parseDurationToSeconds(cliOptions.duration);
+            if (durationSec <= 0 || isNaN(durationSec)) throw new UsageError(`Invalid duration '${cliOptions.duration}'. Use DD:HH:MM, HH:MM or MM.`);
+            if (!config.screenshotInterval) throw new UsageError("--duration needs an interval to calculate the number of screenshots.");
+            config.numberOfScreenshots = Math.floor(durationSec / config.screenshotInterval);
+        }
+        if (cliOptions.untilStopped) config.numberOfScreenshots = 0;
+        if (cliOptions.recordComm) config.commRecording = { ...(config.commRecording || {}), enabled: true };
+
+        if (cliOptions.start !== undefined) {
+            const ts = parseTimestampInput(cliOptions.start);
+            if (!ts) throw new UsageError(`Invalid start time '${cliOptions.start}'. Use DD.MM.YYYY-HH:MM:SS`);
+            config.screenshotTimestamp = ts;
+        }
+
+        config.screenshotPerAction = this.mode === 'history' && config.numberOfScreenshots === 0;
+        config.video = { ...(config.video || {}) };
+        Object.entries(cliOptions.video || {}).forEach(([key, value]) => {
+            if (value !== undefined) config.video[key] = value;
+        });
+
+        const command = cliOptions.skipCapture ? 'skip' : 'run';
+
+        // Validate what is needed for the selected command
+        const required = ['screenshotInterval'];
+        if (command === 'run') required.push('screenshotWidth', 'screenshotHeight', 'numberOfScreenshots');
+        if (command === 'run' && !(Array.isArray(config.targets) && config.targets.length)) required.push('intelUrl');
+        const missing = required.filter(key => config[key] === undefined || config[key] === null || config[key] === '' || Number.isNaN(config[key]));
+        if (missing.length) throw new UsageError(`Missing settings: ${missing.join(', ')}. Pass them as flags or in a --config file.`);
+        if (!(config.screenshotInterval > 0)) throw new UsageError("Interval must be greater than 0.");
+
+        // Without a mode the video prompts would be skipped and the default FPS used silently
+        if (!config.video.mode) throw new UsageError("Missing --video-mode (speed, duration or none). Pass it as a flag or as video.mode in a --config file.");
+        if (config.video.mode === 'speed' && !(config.video.factor > 0)) throw new UsageError("--video-mode speed needs --video-factor.");
+        if (config.video.mode === 'duration' && !(config.video.duration > 0)) throw new UsageError("--video-mode duration needs --video-duration.");
+
+        return { config, command };
+    }
+
     /**
      * Handles editing a specific field based on number input
      */
@@ -113,7 +182,7 @@ class ProjectManager {
             case '7':
                 if (this.mode === 'history') {
                     const tsStr = await getuserInput("Enter Start Time (DD.MM.YYYY-HH:MM:SS): ");
-                    const ts = this.#parseTimestampInput(tsStr);
+                    const ts = parseTimestampInput(tsStr);
                     if (ts) {
                         config.screenshotTimestamp = ts;
                         console.log("Timestamp updated.");
@@ -150,7 +219,7 @@ class ProjectManager {
             let validTime = false;
             while (!validTime) {
                 const tsInput = await getuserInput("Enter Screenshot Start Time (DD.MM.YYYY-HH:MM:SS): ");
-                screenshotTimestamp = this.#parseTimestampInput(tsInput);
+                screenshotTimestamp = parseTimestampInput(tsInput);
                 if (screenshotTimestamp) {
                     validTime = true;
                 } else {
@@ -252,34 +321,6 @@ class ProjectManager {
         fs.writeFileSync(this.fullPath, JSON.stringify(settings, null, 4));
     }
 
-    /**
-     * Parses DD.MM.YYYY-HH:MM:SS into a UTC Timestamp (milliseconds)
-     */
-    #parseTimestampInput(input) {
-        try {
-            if (!input || !input.includes('-')) return null;
-
-            const [datePart, timePart] = input.split('-'); // Split Date and Time
-            const [day, month, year] = datePart.split('.'); // Split Day, Month, Year
-            const [hour, minute, second] = timePart.split(':'); // Split Hour, Minute, Second
-
-            // Validate all parts exist
-            if (!day || !month || !year || !hour || !minute || !second) return null;
-            const dateObj = new Date(Date.UTC(
-                parseInt(year),
-                parseInt(month) - 1,
-                parseInt(day),
-                parseInt(hour),
-                parseInt(minute),
-                parseInt(second)
-            ));
-
-            return dateObj.getTime();
-        } catch (e) {
-            return null;
-        }
-    }
-
     #parseDurationToSeconds(input) {
         if (!input) return 0;
         const parts = input.toString().split(':').map(p => parseInt(p.trim()));
@@ -0,0 +1,101 @@
+const MISSED_FRAME_POLICIES = ['skip', 'immediate', 'stretch'];
+
+/**
+ * Capture Scheduler
+ * Runs a callback on wall-clock aligned slots (e.g. every 10s at :00/:10/:20) without drifting.
+ * If a capture takes longer than the interval, the missed frame policy decides what happens:
+ * - skip: Wait for the next boundary, the slots in between are reported as missed.
+ * - immediate: Capture the latest passed slot right away, older passed slots are reported as missed.
+ * - stretch: Start the next capture right away and shift the whole grid, the passed slots are reported as missed.
+ * @constructor
+ * @param {number} intervalMs - Time between two slots in milliseconds.
+ * @param {string} policy - Missed frame policy, one of 'skip', 'immediate' or 'stretch'. Default is 'skip'.
+ */
+class CaptureScheduler {
+    constructor(intervalMs, policy = 'skip') {
+        if (!(intervalMs > 0)) throw new Error(`Invalid interval: ${intervalMs}ms`);
+        if (!MISSED_FRAME_POLICIES.includes(policy)) {
+            throw new Error(`Unknown missed frame policy '${policy}'. Use one of: ${MISSED_FRAME_POLICIES.join(', ')}`);
+        }
+        this.intervalMs = intervalMs;
+        this.policy = policy;
+    }
+
+    /**
+     * Get the next wall-clock boundary at or after a timestamp.
+     * @param {number} timestamp
+     * @returns {number}
+     */
+    alignToBoundary(timestamp) {
+        return Math.ceil(timestamp / this.intervalMs) * this.intervalMs;
+    }
+
+    /**
+     * Wait until a timestamp is reached. Wakes up at least every second to check shouldStop.
+     * @param {number} timestamp
+     * @param {Function} shouldStop
+     * @returns {Promise<void>}
+     */
+    async #sleepUntil(timestamp, shouldStop) {
+        while (Date.now() < timestamp && !shouldStop()) {
+            const remaining = timestamp - Date.now();
+            await new Promise(r => setTimeout(r, Math.min(remaining, 1000)));
+        }
+    }
+
+    /**
+     * Run slots until maxSlots is reached or shouldStop returns true.
+     * Missed slots count towards maxSlots, so a duration based run still ends on time.
+     * @param {Object} handlers
+     * @param {Function} handlers.onSlot - async ({ index, scheduledAt, startedAt }) => void, called for every slot to capture. Resolve to false if the slot failed
+     * @param {Function} handlers.onMissed - ({ index, scheduledAt, reason }) => void, called for every missed slot
+     * @param {Function} handlers.shouldStop - () => Boolean
+     * @param {number} handlers.maxSlots - Number of slots to run, 0 runs until stopped
+     * @returns {Promise<{captured: number, missed: number}>}
+     */
+    async run({ onSlot, onMissed = () => { }, shouldStop = () => false, maxSlots = 0 }) {
+        let index = 0;
+        let captured = 0;
+        let missed = 0;
+        let scheduledAt = this.alignToBoundary(Date.now());
+        const hasSlotsLeft = () => maxSlots === 0 || index < maxSlots;
+
+        while (hasSlotsLeft()) {
+            await this.#sleepUntil(scheduledAt, shouldStop);
+            if (shouldStop()) break;
+
+            const ok = await onSlot({ index, scheduledAt, startedAt: Date.now() });
+            index++;
+            if (ok === false) missed++;
+            else captured++;
+
+            const finishedAt = Date.now();
+            let next = scheduledAt + this.intervalMs;
+
+            if (finishedAt > next) {
+                if (this.policy === 'stretch') console.warn(`Capture overran by ${finishedAt - next}ms, stretching the schedule.`);
+
+                // With 'immediate' the last passed slot is still captured, so it is not missed
+                const lastPassed = Math.floor(finishedAt / this.intervalMs) * this.intervalMs;
+                const missedUntil = this.policy === 'immediate' ? lastPassed : finishedAt;
+
+                // The video repeats a frame for every missed slot, so it keeps up with the wall clock
+                while (next < missedUntil) {
+                    if (!hasSlotsLeft()) break;
+                    onMissed({ index, scheduledAt: next, reason: 'overrun' });
+                    index++;
+                    missed++;
+                    next += this.intervalMs;
+                }
+
+                if (this.policy === 'stretch') next = finishedAt;
+            }
+
+            scheduledAt = next;
+        }
+
+        return { captured, missed };
+    }
+}
+
+module.exports = { CaptureScheduler, MISSED_FRAME_POLICIES };
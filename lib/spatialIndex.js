@@ -0,0 +1,154 @@
+/**
+ * Grid index for link segments, so crossing checks only look at links near a new link instead of all of them.
+ * Portals are plain { lat, lng } points, the grid cells are in degrees.
+ */
+const { arcBounds } = require('./geo.js');
+
+const DEFAULT_GRID_OPTIONS = {
+    cellSize: 0.01,          // Degrees, about 1 km
+    maxCells: 256,           // Links spanning more cells are kept in one list that every query checks
+};
+
+/**
+ * Link Grid
+ * @constructor
+ * @param {Object} options - See DEFAULT_GRID_OPTIONS
+ */
+class LinkGrid {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_GRID_OPTIONS, ...(options || {}) };
+        this.cells = new Map();        // cell key -> Set of link keys
+        this.large = new Set();        // Links spanning more than maxCells
+        this.entries = new Map();      // link key -> cell keys, null for large links
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add a link, an existing link with the same key is replaced.
+     * @param {string} key
+     * @param {{lat: number, lng: number}} a
+     * @param {{lat: number, lng: number}} b
+     */
+    insert(key, a, b) {
+        this.remove(key);
+        const cells = this.#cellsOf(a, b);
+        this.entries.set(key, cells);
+        if (!cells) {
+            this.large.add(key);
+            return;
+        }
+        cells.forEach(cell => {
+            if (!this.cells.has(cell)) this.cells.set(cell, new Set());
+            this.cells.get(cell).add(key);
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} True if the link was in the grid
+     */
+    remove(key) {
+        if (!this.entries.has(key)) return false;
+        const cells = this.entries.get(key);
+        this.entries.delete(key);
+        if (!cells) {
+            this.large.delete(key);
+            return true;
+        }
+        cells.forEach(cell => {
+            const keys = this.cells.get(cell);
+            keys.delete(key);
+            if (keys.size === 0) this.cells.delete(cell);
+        });
+        return true;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.large.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * Links whose bounding box shares a cell with the arc a-b. Every link crossing a-b is among them.
+     * @param {{lat: number, lng: number}} a
+     * @param {{lat: number, lng: number}} b
+     * @returns {Set<string>} Link keys
+     */
+    query(a, b) {
+        const cells = this.#cellsOf(a, b);
+        if (!cells) return new Set(this.entries.keys());
+
+        const found = new Set(this.large);
+        cells.forEach(cell => {
+            const keys = this.cells.get(cell);
+            if (keys) keys.forEach(key => found.add(key));
+        });
+        return found;
+    }
+
+    /**
+     * Cells covered by the bounding box of an arc.
+     * An arc more than 180 degrees of longitude wide runs the short way over the antimeridian, its box has two parts.
+     * @returns {string[]|null} Null if there are more than maxCells
+     */
+    #cellsOf = (a, b) => {
+        const size = this.options.cellSize;
+        const bounds = arcBounds(a, b);
+        const lngRanges = bounds.maxLng - bounds.minLng > 180
+            ? [[bounds.maxLng, 180], [-180, bounds.minLng]]
+            : [[bounds.minLng, bounds.maxLng]];
+        const columns = lngRanges.map(([min, max]) => [Math.floor(min / size), Math.floor(max / size)]);
+        const y1 = Math.floor(bounds.minLat / size);
+        const y2 = Math.floor(bounds.maxLat / size);
+        const count = columns.reduce((sum, [x1, x2]) => sum + x2 - x1 + 1, 0) * (y2 - y1 + 1);
+        if (count > this.options.maxCells) return null;
+
+        const cells = [];
+        columns.forEach(([x1, x2]) => {
+            for (let x = x1; x <= x2; x++) {
+                for (let y = y1; y <= y2; y++) cells.push(`${x}:${y}`);
+            }
+        });
+        return cells;
+    }
+}
+
+/**
+ * Same interface as LinkGrid without any index, every query returns all links.
+ * For comparisons and very small maps.
+ */
+class LinearLinkIndex {
+    constructor() {
+        this.keys = new Set();
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    insert(key) {
+        this.keys.add(key);
+    }
+
+    remove(key) {
+        return this.keys.delete(key);
+    }
+
+    clear() {
+        this.keys.clear();
+    }
+
+    query() {
+        return new Set(this.keys);
+    }
+}
+
+module.exports = {
+    DEFAULT_GRID_OPTIONS,
+    LinearLinkIndex,
+    LinkGrid
+};
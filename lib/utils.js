@@ -24,7 +24,38 @@ const getuserInput = (query) => {
  */
 const parseE6 = (e6) => e6 / 1000000;
 
+/**
+ * Parses DD.MM.YYYY-HH:MM:SS into a UTC Timestamp (milliseconds)
+ * @param {String} input
+ * @returns {Number|null}
+ */
+const parseTimestampInput = (input) => {
+    try {
+        if (!input || !input.includes('-')) return null;
+
+        const [datePart, timePart] = input.split('-'); // Split Date and Time
+        const [day, month, year] = datePart.split('.'); // Split Day, Month, Year
+        const [hour, minute, second] = timePart.split(':'); // Split Hour, Minute, Second
+
+        // Validate all parts exist
+        if (!day || !month || !year || !hour || !minute || !second) return null;
+        const dateObj = new Date(Date.UTC(
+            parseInt(year),
+            parseInt(month) - 1,
+            parseInt(day),
+            parseInt(hour),
+            parseInt(minute),
+            parseInt(second)
+        ));
+
+        return dateObj.getTime();
+    } catch (e) {
+        return null;
+    }
+}
+
 module.exports = {
     getuserInput,
-    parseE6
+    parseE6,
+    parseTimestampInput
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { EXIT_CODES, UsageError, parseCommandLine } = require('../lib/cli.js');
+const ProjectManager = require('../lib/projectManager.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run a script in an empty directory, so no project.json or .env of the checkout is used.
+ */
+const runScript = (script, args) => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    return spawnSync(process.execPath, [path.join(ROOT, script), ...args], { cwd, encoding: 'utf8', timeout: 30000 });
+};
+
+const LIVE_ARGS = ['--url', 'https://intel.ingress.com/', '--width', '800', '--height', '600', '--interval', '10', '--count', '5'];
+
+test('no arguments start the wizard', () => {
+    assert.strictEqual(parseCommandLine('live', []), null);
+    assert.strictEqual(parseCommandLine('recall', []), null);
+});
+
+test('flags are parsed into options', () => {
+    const options = parseCommandLine('live', [...LIVE_ARGS, '--video-mode', 'speed', '--video-factor', '1.5', '--record-comm']);
+    assert.deepStrictEqual(
+        [options.intelUrl, options.screenshotWidth, options.screenshotHeight, options.screenshotInterval, options.numberOfScreenshots, options.recordComm],
+        ['https://intel.ingress.com/', 800, 600, 10, 5, true]);
+    assert.deepStrictEqual(options.video, { mode: 'speed', factor: 1.5, duration: undefined, maxStillFrames: undefined });
+
+    const recall = parseCommandLine('recall', ['--export', 'snapshot', '--format', 'geojson', '--at', '01.01.2025-12:00:00', '--at', '02.01.2025-12:00:00']);
+    assert.deepStrictEqual(recall.export, {
+        kind: 'snapshot', format: 'geojson', output: 'history_snapshot.geojson',
+        times: [Date.UTC(2025, 0, 1, 12), Date.UTC(2025, 0, 2, 12)], from: undefined, to: undefined, player: undefined, team: undefined,
+    });
+
+    const review = parseCommandLine('recall', ['--export', 'actions', '--player', 'alice', '--team', 'enl', '--from', '01.01.2025-18:00:00']);
+    assert.deepStrictEqual([review.export.player, review.export.team, review.export.from], ['alice', 'ENL', Date.UTC(2025, 0, 1, 18)]);
+});
+
+test('invalid flags are usage errors', () => {
+    const invalid = [
+        ['--unknown'],
+        ['--width', 'wide'],
+        ['--interval', '-5'],
+        ['--count', '5', '--until-stopped'],
+        ['--video-mode', 'fast'],
+    ];
+    invalid.forEach(args => assert.throws(() => parseCommandLine('live', args), UsageError, args.join(' ')));
+
+    assert.throws(() => parseCommandLine('recall', ['--export', 'fields']), UsageError);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'portals', '--format', 'xml']), UsageError);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'snapshot']), /needs at least one --at/);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'actions', '--from', 'yesterday']), /Invalid --from time/);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'actions', '--team', 'blue']), /--team must be RES, ENL or MACHINA/);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'players', '--player', 'alice']), /--player only works with --export actions/);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'portals', '--team', 'ENL']), /--team only works with --export actions or players/);
+    assert.throws(() => parseCommandLine('recall', ['--team', 'ENL']), /--team only works with --export/);
+    assert.throws(() => parseCommandLine('recall', ['--export', 'players', '--format', 'geojson']), /has no location/);
+    assert.throws(() => parseCommandLine('elsewhere', []), /Unknown script/);
+});
+
+test('flags of the other script are rejected', () => {
+    ['--check-db', '--reparse', '--start=01.01.2025-12:00:00', '--history-days=3', '--export=portals', '--import=file.jsonl'].forEach(flag => {
+        assert.throws(() => parseCommandLine('live', [...LIVE_ARGS, flag]), /not available in index\.js, it is a recall option/, flag);
+    });
+    assert.throws(() => parseCommandLine('recall', ['--record-comm']), /not available in index_recall\.js, it is a live option/);
+    // Shared flags work in both
+    assert.strictEqual(parseCommandLine('recall', ['--until-stopped']).untilStopped, true);
+});
+
+test('--video-mode is required without prompts', () => {
+    const pm = new ProjectManager(fs.mkdtempSync(path.join(os.tmpdir(), 'cli-project-')));
+    assert.throws(() => pm.resolveConfiguration(parseCommandLine('live', LIVE_ARGS)), /Missing --video-mode/);
+    assert.throws(() => pm.resolveConfiguration(parseCommandLine('live', [...LIVE_ARGS, '--video-mode', 'speed'])), /needs --video-factor/);
+    assert.throws(() => pm.resolveConfiguration(parseCommandLine('live', [...LIVE_ARGS, '--video-mode', 'duration'])), /needs --video-duration/);
+
+    const { config, command } = pm.resolveConfiguration(parseCommandLine('live', [...LIVE_ARGS, '--video-mode', 'none']));
+    assert.strictEqual(command, 'run');
+    assert.deepStrictEqual(config.video, { mode: 'none' });
+});
+
+test('exit codes of the scripts', () => {
+    const help = runScript('index.js', ['--help']);
+    assert.strictEqual(help.status, EXIT_CODES.OK);
+    assert.match(help.stdout, /Exit codes:/);
+
+    const typo = runScript('index.js', [...LIVE_ARGS, '--video-mode', 'none', '--export', 'portals']);
+    assert.strictEqual(typo.status, EXIT_CODES.USAGE);
+    assert.match(typo.stderr, /--export is not available in index\.js/);
+
+    const noVideoMode = runScript('index.js', LIVE_ARGS);
+    assert.strictEqual(noVideoMode.status, EXIT_CODES.USAGE);
+    assert.match(noVideoMode.stderr, /Missing --video-mode/);
+
+    const recall = runScript('index_recall.js', ['--record-comm']);
+    assert.strictEqual(recall.status, EXIT_CODES.USAGE);
+
+    const noDb = runScript('index_recall.js', ['--check-db']);
+    assert.strictEqual(noDb.status, EXIT_CODES.FAILURE);
+    assert.match(noDb.stderr, /No history DB found/);
+});
@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { CommRecorder, resolveCommOptions } = require('../lib/commRecorder.js');
+const { HistoryDatabase, missingRanges } = require('../lib/historyDB.js');
+
+const URL = 'https://intel.ingress.com/?ll=50.1,8.6&z=15';
+
+// Local getPlexts mock, every request takes the next queued response, then the fallback
+let responses = [];
+let fallback = null;
+let server;
+let endpoint;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            const { status = 200, headers = {}, json, text } = responses.shift() || fallback || { json: { result: [] } };
+            res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html', ...headers });
+            res.end(json ? JSON.stringify(json) : text || '');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/r/getPlexts`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    responses = [];
+    fallback = null;
+});
+
+/**
+ * Stands in for the Intel page: loading it captures a getPlexts payload, requests from it go to the mock.
+ */
+const openPage = async () => {
+    let closed = false;
+    return {
+        goto: async () => { },
+        waitForRequest: async () => ({ postData: () => JSON.stringify({ v: 'initial', tab: 'all' }) }),
+        evaluate: async (fn, url, payload) => {
+            const res = await fetch(endpoint, { method: 'POST', body: JSON.stringify(payload) });
+            const text = await res.text();
+            let body = null;
+            try { body = JSON.parse(text); } catch (e) { }
+            return { status: res.status, body, text: body ? null : text, error: null, retryAfter: res.headers.get('Retry-After') };
+        },
+        isClosed: () => closed,
+        close: async () => { closed = true; },
+    };
+};
+
+const plext = (guid, timestamp) => [guid, timestamp, { plext: { markup: [] } }];
+const THROTTLED = { status: 429, headers: { 'Retry-After': '30' }, text: 'Too Many Requests' };
+
+/**
+ * Start a recorder and stop it right away, so only the final poll runs. Returns the fetched ranges afterwards.
+ */
+const startAndStop = async (beforeStop = () => { }) => {
+    const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'comm-recorder-')), 'ingress_history.db');
+    const recorder = new CommRecorder(openPage, URL, dbPath, { intervalSeconds: 3600, finalPollSeconds: 10 }, { minDelayMs: 0 });
+    await recorder.start();
+    const startedAt = recorder.startedAt;
+    beforeStop(startedAt);
+
+    const stopAt = Date.now();
+    await recorder.stop();
+    const stopMs = Date.now() - stopAt;
+
+    const db = new HistoryDatabase(dbPath);
+    await db.open();
+    const ranges = await db.getFetchedRanges(URL);
+    await db.close();
+    return { startedAt, stopMs, ranges, recorder };
+};
+
+test('the final poll records the range up to the stop', async () => {
+    const { startedAt, ranges, recorder } = await startAndStop();
+    assert.strictEqual(ranges.length, 1);
+    assert.strictEqual(ranges[0].start, startedAt);
+    assert.strictEqual(ranges[0].end, recorder.since);
+});
+
+test('a throttled final poll gives up instead of waiting out the backoff', async () => {
+    fallback = THROTTLED;
+    const { startedAt, stopMs, ranges } = await startAndStop();
+
+    // The wake up of the polling loop takes up to a second, a 30s backoff is not waited for
+    assert.ok(stopMs < 5000, `stop took ${stopMs}ms`);
+    assert.deepStrictEqual(ranges, []);
+    assert.deepStrictEqual(missingRanges(startedAt, Date.now(), ranges).length, 1);
+});
+
+test('pages fetched before the deadline count, the rest stays a gap', async () => {
+    fallback = THROTTLED;
+    const { startedAt, ranges } = await startAndStop((startedAt) => responses.push({ json: { result: [plext('a', startedAt + 5)] } }));
+
+    assert.strictEqual(ranges.length, 1);
+    assert.strictEqual(ranges[0].start, startedAt + 5);
+    assert.deepStrictEqual(missingRanges(startedAt, ranges[0].end, ranges), [{ start: startedAt, end: startedAt + 5 }]);
+});
+
+test('COMM options', () => {
+    assert.deepStrictEqual(resolveCommOptions({ enabled: true }), { enabled: true, intervalSeconds: 60, url: null, finalPollSeconds: 60 });
+    assert.throws(() => resolveCommOptions({ finalPollSeconds: 0 }), /finalPollSeconds must be greater than 0/);
+});
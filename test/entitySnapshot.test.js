@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { captureEntitySnapshot, collectTileKeys, parseEntities, resolveSnapshotOptions } = require('../lib/entitySnapshot.js');
+
+const request = (url, payload, method = 'POST') => ({ url: () => url, method: () => method, postData: () => typeof payload === 'string' ? payload : JSON.stringify(payload) });
+const ENTITIES = 'https://intel.ingress.com/r/getEntities';
+
+/**
+ * Page that sends the given requests after goto, each after its delay in ms.
+ * evaluate answers getEntities requests from the page with tiles(batch, call).
+ */
+const createPage = (requests, tiles = () => ({})) => {
+    const page = new EventEmitter();
+    page.goto = async () => {
+        requests.forEach(([delay, req]) => setTimeout(() => page.emit('request', req), delay));
+    };
+    const calls = [];
+    page.evaluate = async (fn, endpoint, payload) => {
+        calls.push(payload.tileKeys);
+        return { status: 200, body: { result: { map: tiles(payload.tileKeys, calls.length) } } };
+    };
+    return { page, calls };
+};
+
+test('tile keys of all map requests are collected until Intel is quiet', async () => {
+    const { page } = createPage([
+        [0, request(ENTITIES, { tileKeys: ['15_1_1', '15_1_2'], v: 'abc' })],
+        [50, request(ENTITIES, { tileKeys: ['15_1_2', '15_1_3'], v: 'abc' })],
+        // Other requests and broken payloads are ignored
+        [60, request('https://intel.ingress.com/r/getPlexts', { tileKeys: ['plexts'] })],
+        [70, request(ENTITIES, { tileKeys: ['get'] }, 'GET')],
+        [80, request(ENTITIES, 'not json')],
+    ]);
+
+    const { tileKeys, basePayload } = await collectTileKeys(page, 'https://intel.ingress.com/', resolveSnapshotOptions({ quietMs: 300, timeoutSeconds: 5 }));
+    assert.deepStrictEqual(tileKeys, ['15_1_1', '15_1_2', '15_1_3']);
+    assert.deepStrictEqual(basePayload, { tileKeys: ['15_1_2', '15_1_3'], v: 'abc' });
+    // The listener is removed
+    assert.strictEqual(page.listenerCount('request'), 0);
+});
+
+test('without map requests the wait ends at the timeout', async () => {
+    const { page } = createPage([]);
+    const start = Date.now();
+    assert.deepStrictEqual(await collectTileKeys(page, 'https://intel.ingress.com/', resolveSnapshotOptions({ timeoutSeconds: 0.3 })), { tileKeys: [], basePayload: null });
+    assert.ok(Date.now() - start >= 300);
+    assert.strictEqual(await captureEntitySnapshot(createPage([]).page, 'https://intel.ingress.com/', { timeoutSeconds: 0.3 }), null);
+});
+
+test('tiles that failed are requested again', async () => {
+    const portal = (guid, team) => [guid, 1, ['p', team, 50100000, 8600000, 7, 100, 8, null, `Portal ${guid}`]];
+    const { page, calls } = createPage([[0, request(ENTITIES, { tileKeys: ['a', 'b', 'c'], v: 'abc' })]], (batch, call) => Object.fromEntries(batch
+        // Tile b fails in the first round
+        .filter(key => key !== 'b' || call > 2)
+        .map(key => [key, { gameEntities: [portal(`p-${key}`, 'E'), portal('shared', 'R')] }])));
+
+    const snapshot = await captureEntitySnapshot(page, 'https://intel.ingress.com/', { quietMs: 100, batchSize: 2, retryDelayMs: 0 });
+    assert.deepStrictEqual(calls, [['a', 'b'], ['c'], ['b']]);
+    assert.deepStrictEqual([snapshot.tiles, snapshot.failedTiles], [3, []]);
+    // Entities of several tiles are kept once
+    assert.deepStrictEqual(snapshot.portals.map(p => `${p.id}/${p.team}`).sort(), ['p-a/ENL', 'p-b/ENL', 'p-c/ENL', 'shared/RES']);
+});
+
+test('getEntities entities become portals, links and fields', () => {
+    const { portals, links, fields } = parseEntities([
+        ['p1', 1, ['p', 'E', 50100000, 8600000, 8, 100, 8, null, 'Fountain']],
+        ['l1', 1, ['e', 'R', 'p1', 50100000, 8600000, 'p2', 50200000, 8700000]],
+        ['f1', 1, ['r', 'M', [['p1', 50100000, 8600000], ['p2', 50200000, 8700000], ['p3', 50300000, 8800000]]]],
+        ['bad', 1, null],
+        ['f2', 1, ['r', 'E', [['p1', 1, 2]]]],
+    ]);
+    assert.deepStrictEqual(portals, [{ id: 'p1', lat: 50.1, lng: 8.6, team: 'ENL', level: 8, health: 100, resCount: 8, name: 'Fountain' }]);
+    assert.deepStrictEqual(links, [{ id: 'l1', team: 'RES', p1: { id: 'p1', lat: 50.1, lng: 8.6 }, p2: { id: 'p2', lat: 50.2, lng: 8.7 } }]);
+    assert.deepStrictEqual(fields.map(f => [f.id, f.team, f.points.map(p => p.id)]), [['f1', 'MACHINA', ['p1', 'p2', 'p3']]]);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const VideoGenerator = require('../lib/ffmpeg.js');
+const { CaptureManifest } = require('../lib/manifest.js');
+
+/**
+ * Screenshot directory with the given PNG files and manifest entries.
+ */
+const createCapture = (files, entries = null) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-'));
+    files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+    if (entries) {
+        const manifest = new CaptureManifest(dir, 1);
+        entries.forEach(entry => manifest.append(entry));
+    }
+    return new VideoGenerator(30, dir, dir);
+};
+
+const captured = (time) => ({ status: 'captured', file: `${time}.png`, scheduledAt: time });
+const missed = (time) => ({ status: 'missed', scheduledAt: time });
+
+test('without a manifest the frames are ordered by the time in their names', () => {
+    const video = createCapture(['20000.png', '3000.png', '100000.png', 'notes.txt']);
+    assert.deepStrictEqual(video.collectFrames().map(f => f.file), ['3000.png', '20000.png', '100000.png']);
+});
+
+test('missed slots repeat the previous frame', () => {
+    const video = createCapture(['1000.png', '4000.png'], [missed(500), captured(1000), missed(2000), missed(3000), captured(4000)]);
+    // Nothing to repeat before the first frame
+    assert.deepStrictEqual(video.collectFrames(), [
+        { file: '1000.png', still: false },
+        { file: '1000.png', still: false },
+        { file: '1000.png', still: false },
+        { file: '4000.png', still: false },
+    ]);
+});
+
+test('frames missing on disk are left out', () => {
+    const video = createCapture(['1000.png', '3000.png'], [captured(1000), captured(2000), captured(3000), missed(4000)]);
+    assert.deepStrictEqual(video.collectFrames().map(f => f.file), ['1000.png', '3000.png', '3000.png']);
+});
+
+test('duplicates count as still frames', () => {
+    const video = createCapture(['1000.png', '2000.png', '4000.png'], [
+        captured(1000),
+        { ...captured(2000), duplicate: true },
+        { status: 'duplicate', scheduledAt: 3000, duplicateOf: '1000.png' },
+        captured(4000),
+    ]);
+    assert.deepStrictEqual(video.collectFrames(), [
+        { file: '1000.png', still: false },
+        { file: '2000.png', still: true },
+        { file: '2000.png', still: true },
+        { file: '4000.png', still: false },
+    ]);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { changedRatio, createThumbnail, resolveDuplicateOptions } = require('../lib/frameDiff.js');
+
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+};
+
+const paeth = (left, up, upLeft) => {
+    const p = left + up - upLeft;
+    const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+    return pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+};
+
+/**
+ * Encode rows of raw bytes as a PNG, each row with the filter type filterOf(y).
+ */
+const encodePng = (rows, { colorType = 2, bitDepth = 8, interlace = 0, filterOf = () => 0 } = {}) => {
+    const channels = CHANNELS[colorType] || 1;
+    const width = rows[0].length / channels;
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(rows.length, 4);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;
+    ihdr[12] = interlace;
+
+    const filtered = rows.map((row, y) => {
+        const filter = filterOf(y);
+        const previous = y > 0 ? rows[y - 1] : new Array(row.length).fill(0);
+        const bytes = row.map((value, x) => {
+            const left = x >= channels ? row[x - channels] : 0;
+            const upLeft = x >= channels ? previous[x - channels] : 0;
+            const predictor = [0, left, previous[x], (left + previous[x]) >> 1, paeth(left, previous[x], upLeft)][filter] ?? 0;
+            return (value - predictor) & 0xff;
+        });
+        return Buffer.from([filter, ...bytes]);
+    });
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(filtered))),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+};
+
+// 4x3 pixels with values that make every filter predict something different
+const RGBA = Array.from({ length: 3 }, (_, y) => Array.from({ length: 4 }, (_, x) => [(x * 70 + y * 30) % 256, (x * 20 + y * 90 + 200) % 256, (x * y * 45 + 10) % 256, 255]));
+const gray = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+const pixelsOf = (colorType) => RGBA.map(row => row.flatMap(([r, g, b, a]) => ({
+    0: [r],
+    2: [r, g, b],
+    4: [r, a],
+    6: [r, g, b, a],
+}[colorType])));
+const expectedGray = (colorType) => RGBA.flat().map(pixel => Math.fround(colorType >= 2 && colorType !== 4 ? gray(pixel) : pixel[0]));
+
+test('every filter type and color type decodes', () => {
+    [0, 2, 4, 6].forEach(colorType => {
+        [0, 1, 2, 3, 4].forEach(filter => {
+            const thumbnail = createThumbnail(encodePng(pixelsOf(colorType), { colorType, filterOf: () => filter }));
+            assert.deepStrictEqual([thumbnail.width, thumbnail.height, thumbnail.sourceWidth, thumbnail.sourceHeight], [4, 3, 4, 3]);
+            assert.deepStrictEqual(Array.from(thumbnail.pixels), expectedGray(colorType), `color type ${colorType}, filter ${filter}`);
+        });
+        // A different filter on every row
+        const mixed = createThumbnail(encodePng(pixelsOf(colorType), { colorType, filterOf: y => [4, 3, 1][y] }));
+        assert.deepStrictEqual(Array.from(mixed.pixels), expectedGray(colorType));
+    });
+});
+
+test('thumbnails average the pixels of a cell', () => {
+    const rows = [[0, 100, 200, 200], [0, 100, 0, 0]];
+    const thumbnail = createThumbnail(encodePng(rows, { colorType: 0 }), 2);
+    assert.deepStrictEqual([thumbnail.width, thumbnail.height], [2, 1]);
+    assert.deepStrictEqual(Array.from(thumbnail.pixels), [50, 100]);
+});
+
+test('unsupported and broken PNGs throw', () => {
+    const rows = pixelsOf(2);
+    assert.throws(() => createThumbnail(encodePng(rows, { interlace: 1 })), /Unsupported PNG \(bit depth 8, color type 2, interlace 1\)/);
+    assert.throws(() => createThumbnail(encodePng(rows, { bitDepth: 16 })), /Unsupported PNG \(bit depth 16/);
+    assert.throws(() => createThumbnail(encodePng(pixelsOf(0), { colorType: 3 })), /color type 3/);
+    assert.throws(() => createThumbnail(encodePng(rows, { filterOf: () => 7 })), /Unknown PNG filter type 7 in row 0/);
+    assert.throws(() => createThumbnail(encodePng(rows).subarray(0, 8)), /without image header/);
+    assert.throws(() => createThumbnail(Buffer.from('GIF89a and more')), /Not a PNG file/);
+
+    // Image data of fewer rows than the header says
+    const short = encodePng(rows);
+    short.writeUInt32BE(5, 8 + 8 + 4);
+    assert.throws(() => createThumbnail(short), /Truncated PNG image data/);
+});
+
+const thumbnailOf = (values, width) => ({ width, height: values.length / width, sourceWidth: width * 10, sourceHeight: values.length / width * 10, pixels: Float32Array.from(values) });
+
+test('changed pixels beyond the tolerance', () => {
+    const a = thumbnailOf([0, 0, 0, 0], 2);
+    const b = thumbnailOf([8, 9, 0, 100], 2);
+    assert.strictEqual(changedRatio(a, b), 0.5);
+    assert.strictEqual(changedRatio(a, b, 0), 0.75);
+    assert.strictEqual(changedRatio(a, b, 100), 0);
+
+    assert.strictEqual(changedRatio(a, thumbnailOf([0, 0], 2)), 1);
+    assert.strictEqual(changedRatio(null, a), 1);
+});
+
+test('ignored areas are given in full size pixels', () => {
+    const a = thumbnailOf([0, 0, 0, 0], 2);
+    const b = thumbnailOf([0, 0, 0, 100], 2);
+    // The bottom right cell covers 10-20 of the full size image
+    assert.strictEqual(changedRatio(a, b, 8, [{ x: 15, y: 12, width: 2, height: 2 }]), 0);
+    assert.strictEqual(changedRatio(a, b, 8, [{ x: 0, y: 0, width: 10, height: 10 }]), 1 / 3);
+    // Everything ignored
+    assert.strictEqual(changedRatio(a, b, 8, [{ x: 0, y: 0, width: 20, height: 20 }]), 0);
+});
+
+test('duplicate options', () => {
+    assert.deepStrictEqual(resolveDuplicateOptions(), { policy: 'keep', threshold: 0, pixelTolerance: 8 });
+    assert.deepStrictEqual(resolveDuplicateOptions({ policy: 'drop', threshold: 0.01 }), { policy: 'drop', threshold: 0.01, pixelTolerance: 8 });
+    assert.throws(() => resolveDuplicateOptions({ policy: 'skip' }), /Unknown duplicate frame policy 'skip'/);
+});
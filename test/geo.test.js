@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EARTH_RADIUS_KM, arcBounds, areaKm2, isInsideTriangle, linksIntersect, side } = require('../lib/geo.js');
+
+const point = (lat, lng, id) => ({ lat, lng, id });
+
+const assertClose = (actual, expected, tolerance) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('side tells left from right of a link', () => {
+    const a = point(0, 0), b = point(0, 10);
+    assert.ok(side(a, b, point(1, 5)) > 0);
+    assert.ok(side(a, b, point(-1, 5)) < 0);
+    assert.strictEqual(side(a, b, point(0, 5)), 0);
+});
+
+test('crossing links', () => {
+    assert.strictEqual(linksIntersect(point(0, 0), point(0, 10), point(-5, 5), point(5, 5)), true);
+    assert.strictEqual(linksIntersect(point(0, 0), point(0, 10), point(1, 5), point(5, 5)), false);
+    // Parallel links
+    assert.strictEqual(linksIntersect(point(0, 0), point(0, 10), point(1, 0), point(1, 10)), false);
+});
+
+test('links sharing a portal do not cross', () => {
+    assert.strictEqual(linksIntersect(point(0, 0, 'a'), point(0, 10, 'b'), point(0, 0, 'a'), point(5, 5, 'c')), false);
+    assert.strictEqual(linksIntersect(point(0, 0, 'a'), point(0, 10, 'b'), point(5, 5, 'c'), point(0, 10, 'b')), false);
+});
+
+test('great circles meeting on the other side of the globe are no crossing', () => {
+    // The end points lie on both sides of each other's great circle, but the circles meet at lng 0 and 180
+    assert.strictEqual(linksIntersect(point(0, -10), point(0, 10), point(-5, 180), point(5, 180)), false);
+});
+
+test('long links at high latitudes bend towards the pole', () => {
+    // On a flat map the link stays at lat 70 and misses the other one, on the globe it reaches lat 74.4
+    assert.strictEqual(linksIntersect(point(70, -40), point(70, 40), point(71, 0), point(76, 0)), true);
+    assert.strictEqual(linksIntersect(point(70, -40), point(70, 40), point(75, 0), point(76, 0)), false);
+});
+
+test('points inside a triangle', () => {
+    const a = point(0, 0), b = point(0, 1), c = point(1, 0);
+    assert.strictEqual(isInsideTriangle(point(0.2, 0.2), a, b, c), true);
+    // Both orders of the corners
+    assert.strictEqual(isInsideTriangle(point(0.2, 0.2), a, c, b), true);
+    assert.strictEqual(isInsideTriangle(point(2, 2), a, b, c), false);
+    // Corners and edges are not inside
+    assert.strictEqual(isInsideTriangle(point(0, 0), a, b, c), false);
+    assert.strictEqual(isInsideTriangle(point(0, 0.5), a, b, c), false);
+});
+
+test('field area in square kilometres', () => {
+    // One degree at the equator, a bit more than half of a 111.2 km square
+    assertClose(areaKm2(point(0, 0), point(0, 1), point(1, 0)), 6182.49, 0.01);
+    // Small field at lat 50, close to the flat triangle with a shorter degree of longitude
+    const degreeKm = EARTH_RADIUS_KM * Math.PI / 180;
+    const flat = 0.5 * (0.001 * degreeKm) * (0.001 * degreeKm * Math.cos(50 * Math.PI / 180));
+    assertClose(areaKm2(point(50, 0), point(50, 0.001), point(50.001, 0)), flat, flat * 0.001);
+    // The order of the corners does not matter
+    assert.strictEqual(areaKm2(point(0, 0), point(1, 0), point(0, 1)), areaKm2(point(0, 0), point(0, 1), point(1, 0)));
+    assert.strictEqual(areaKm2(point(0, 0), point(0, 1), point(0, 2)), 0);
+});
+
+test('arc bounds reach past the end points towards the poles', () => {
+    const north = arcBounds(point(70, -40), point(70, 40));
+    assert.deepStrictEqual([north.minLat, north.minLng, north.maxLng], [70, -40, 40]);
+    assertClose(north.maxLat, 74.42, 0.01);
+
+    const south = arcBounds(point(-70, -40), point(-70, 40));
+    assertClose(south.minLat, -74.42, 0.01);
+    assert.strictEqual(south.maxLat, -70);
+
+    // A meridian does not bend
+    assert.deepStrictEqual(arcBounds(point(10, 5), point(20, 5)), { minLat: 10, maxLat: 20, minLng: 5, maxLng: 5 });
+});
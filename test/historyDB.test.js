@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { HistoryDatabase, SCHEMA_VERSION, missingRanges } = require('../lib/historyDB.js');
+
+const tempDbPath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-db-')), 'ingress_history.db');
+
+/**
+ * A database as written before versioning: portals keyed by name, actions without player, MU or team.
+ */
+const createUnversionedDb = async (dbPath) => {
+    const db = new HistoryDatabase(dbPath);
+    await db.run(`CREATE TABLE portals (id TEXT PRIMARY KEY, lat REAL, lng REAL, name TEXT, address TEXT, team TEXT)`);
+    await db.run(`CREATE TABLE actions (id TEXT PRIMARY KEY, timestamp INTEGER, type TEXT, action TEXT, portal_id TEXT, target_portal_id TEXT)`);
+    await db.run(`INSERT INTO portals VALUES ('Fountain', 50.1, 8.6, 'Fountain', 'Main St', 'ENL')`);
+    await db.run(`INSERT INTO portals VALUES ('Statue', 50.2, 8.7, 'Statue', 'Side St', 'RES')`);
+    await db.run(`INSERT INTO actions VALUES ('a1', 1000, 'reso', 'deploy_ENL', 'Fountain', NULL)`);
+    await db.run(`INSERT INTO actions VALUES ('a2', 2000, 'link', 'link_RES', 'Statue', 'Fountain')`);
+    await db.close();
+};
+
+test('a new database gets every migration', async () => {
+    const dbPath = tempDbPath();
+    const db = new HistoryDatabase(dbPath);
+    await db.open();
+
+    assert.strictEqual(await db.getVersion(), SCHEMA_VERSION);
+    const versions = (await db.all(`SELECT version FROM schema_version ORDER BY version`)).map(r => r.version);
+    assert.deepStrictEqual(versions, Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+
+    const info = await db.getInfo();
+    ['portals', 'actions', 'fetched_ranges', 'raw_plexts', 'players', 'snapshots'].forEach(table => assert.ok(table in info.tables, table));
+    await db.close();
+});
+
+test('an unversioned database is migrated and keeps its rows as legacy portals', async () => {
+    const dbPath = tempDbPath();
+    await createUnversionedDb(dbPath);
+
+    const db = new HistoryDatabase(dbPath);
+    assert.strictEqual(await db.getVersion(), 0);
+    await db.open();
+
+    assert.strictEqual(await db.getVersion(), SCHEMA_VERSION);
+    assert.deepStrictEqual((await db.all(`SELECT id, legacy FROM portals ORDER BY id`)).map(p => [p.id, p.legacy]), [['Fountain', 1], ['Statue', 1]]);
+    // Version 6 fills the team of old actions from the action name
+    assert.deepStrictEqual((await db.all(`SELECT id, team FROM actions ORDER BY id`)).map(a => [a.id, a.team]), [['a1', 'ENL'], ['a2', 'RES']]);
+
+    // Opening again does not run anything twice
+    await db.open();
+    assert.strictEqual((await db.get(`SELECT COUNT(*) AS count FROM schema_version`)).count, SCHEMA_VERSION);
+    await db.close();
+});
+
+test('legacy portals are re-keyed once their GUID portal is known', async () => {
+    const dbPath = tempDbPath();
+    await createUnversionedDb(dbPath);
+    const db = new HistoryDatabase(dbPath);
+    await db.open();
+
+    await db.run(`INSERT INTO portals (id, lat, lng, name, address, team) VALUES ('guid-fountain', 50.1, 8.6, 'Fountain', 'Main St', 'ENL')`);
+    // Same name, other coordinates: could be another portal
+    await db.run(`INSERT INTO portals (id, lat, lng, name, address, team) VALUES ('guid-statue', 51, 9, 'Statue', 'Side St', 'RES')`);
+    const { resolved, unresolved } = await db.repairLegacyPortals();
+
+    assert.strictEqual(resolved, 1);
+    assert.deepStrictEqual(unresolved.map(p => [p.name, p.reason]), [['Statue', 'GUID portal with this name has other coordinates']]);
+    const a2 = await db.get(`SELECT portal_id, target_portal_id FROM actions WHERE id = 'a2'`);
+    assert.deepStrictEqual({ ...a2 }, { portal_id: 'Statue', target_portal_id: 'guid-fountain' });
+    assert.strictEqual(await db.get(`SELECT id FROM portals WHERE id = 'Fountain'`), undefined);
+    await db.close();
+});
+
+test('a database from a newer version is rejected', async () => {
+    const dbPath = tempDbPath();
+    const db = new HistoryDatabase(dbPath);
+    await db.open();
+    await db.run(`INSERT INTO schema_version (version, description, applied_at) VALUES (?, 'future', 0)`, [SCHEMA_VERSION + 1]);
+    await assert.rejects(db.open(), /only supports up to/);
+    await db.close();
+});
+
+test('getInfo reads an old database without migrating it', async () => {
+    const dbPath = tempDbPath();
+    await createUnversionedDb(dbPath);
+
+    const db = new HistoryDatabase(dbPath, true);
+    const info = await db.getInfo();
+    assert.strictEqual(info.version, 0);
+    assert.strictEqual(info.legacyPortals, null);
+    assert.deepStrictEqual([info.firstAction, info.lastAction], [1000, 2000]);
+    await db.close();
+
+    const check = new HistoryDatabase(dbPath, true);
+    assert.strictEqual(await check.getVersion(), 0);
+    await check.close();
+});
+
+test('missingRanges returns the gaps between fetched ranges', () => {
+    assert.deepStrictEqual(missingRanges(0, 100, []), [{ start: 0, end: 100 }]);
+    assert.deepStrictEqual(missingRanges(0, 100, [{ start: 10, end: 20 }, { start: 50, end: 120 }]), [{ start: 0, end: 10 }, { start: 20, end: 50 }]);
+    assert.deepStrictEqual(missingRanges(30, 40, [{ start: 0, end: 100 }]), []);
+});
+
+/**
+ * A parsed event as the plext parser returns it, at one portal.
+ */
+const event = (id, timestamp, player, team, portalId = 'guid-fountain') => ({
+    id, timestamp, player, team,
+    type: 'reso', action: team ? `deploy_${team}` : 'deploy',
+    cords1: { id: portalId, lat: 50.1, lng: 8.6, name: `Portal ${portalId}`, address: 'Main St', team: 'NEUTRAL' },
+    cords2: null,
+});
+
+test('players keep the faction of their latest action', async () => {
+    const db = new HistoryDatabase(tempDbPath());
+    await db.open();
+    const player = async () => ({ ...await db.get(`SELECT * FROM players WHERE name = 'alice'`) });
+
+    await db.saveEvents([event('a1', 2000, 'alice', 'ENL')]);
+    assert.deepStrictEqual(await player(), { name: 'alice', team: 'ENL', first_seen: 2000, last_seen: 2000 });
+
+    // An older action, e.g. from filling a gap, only moves first_seen
+    await db.saveEvents([event('a2', 1000, 'alice', 'RES')]);
+    assert.deepStrictEqual(await player(), { name: 'alice', team: 'ENL', first_seen: 1000, last_seen: 2000 });
+
+    // A newer action of the other faction: the agent switched sides
+    await db.saveEvents([event('a3', 3000, 'alice', 'RES')]);
+    assert.deepStrictEqual(await player(), { name: 'alice', team: 'RES', first_seen: 1000, last_seen: 3000 });
+
+    // Actions without a faction do not clear it
+    await db.saveEvents([event('a4', 4000, 'alice', null)]);
+    assert.deepStrictEqual(await player(), { name: 'alice', team: 'RES', first_seen: 1000, last_seen: 4000 });
+    await db.close();
+});
+
+test('version 6 fills the players from the actions of older databases', async () => {
+    const dbPath = tempDbPath();
+    const old = new HistoryDatabase(dbPath);
+    // The tables of version 5, actions with player but without team
+    await old.run(`CREATE TABLE schema_version (version INTEGER PRIMARY KEY, description TEXT, applied_at INTEGER)`);
+    for (const version of [1, 2, 3, 4, 5]) await old.run(`INSERT INTO schema_version VALUES (?, 'old', 0)`, [version]);
+    await old.run(`CREATE TABLE portals (id TEXT PRIMARY KEY, lat REAL, lng REAL, name TEXT, address TEXT, team TEXT, legacy INTEGER NOT NULL DEFAULT 0)`);
+    await old.run(`CREATE TABLE actions (id TEXT PRIMARY KEY, timestamp INTEGER, type TEXT, action TEXT, portal_id TEXT, target_portal_id TEXT, player TEXT, mu INTEGER)`);
+    await old.run(`CREATE TABLE fetched_ranges (area TEXT NOT NULL, start_ms INTEGER NOT NULL, end_ms INTEGER NOT NULL)`);
+    await old.run(`CREATE TABLE raw_plexts (id TEXT PRIMARY KEY, timestamp INTEGER, data TEXT NOT NULL)`);
+    await old.run(`INSERT INTO actions (id, timestamp, type, action, player) VALUES
+        ('a1', 1000, 'reso', 'deploy_ENL', 'alice'), ('a2', 3000, 'portal', 'captured_RES', 'alice'),
+        ('a3', 2000, 'reso', 'destroy', 'alice'), ('a4', 1500, 'reso', 'destroy', 'bob'), ('a5', 500, 'reso', 'deploy_ENL', NULL)`);
+    await old.close();
+
+    const db = new HistoryDatabase(dbPath);
+    await db.open();
+    assert.deepStrictEqual((await db.all(`SELECT id, team FROM actions ORDER BY id`)).map(a => [a.id, a.team]),
+        [['a1', 'ENL'], ['a2', 'RES'], ['a3', null], ['a4', null], ['a5', 'ENL']]);
+    // The latest action with a faction decides, agents only seen destroying have none yet
+    assert.deepStrictEqual((await db.all(`SELECT * FROM players ORDER BY name`)).map(p => ({ ...p })), [
+        { name: 'alice', team: 'RES', first_seen: 1000, last_seen: 3000 },
+        { name: 'bob', team: null, first_seen: 1500, last_seen: 1500 },
+    ]);
+    await db.close();
+});
+
+test('actions and players of an operation', async () => {
+    const db = new HistoryDatabase(tempDbPath());
+    await db.open();
+    await db.saveEvents([
+        event('a1', 1000, 'alice', 'ENL'),
+        event('a2', 2000, 'Bob', 'RES', 'guid-statue'),
+        event('a3', 3000, 'alice', 'ENL', 'guid-statue'),
+        event('a4', 4000, 'carol', 'ENL'),
+        event('a5', 5000, 'alice', 'ENL'),
+    ]);
+
+    const ids = (actions) => actions.map(a => a.id);
+    assert.deepStrictEqual(ids(await db.getActions()), ['a1', 'a2', 'a3', 'a4', 'a5']);
+    // Agent names are matched without case, as players type them
+    assert.deepStrictEqual(ids(await db.getActions({ player: 'bob' })), ['a2']);
+    assert.deepStrictEqual(ids(await db.getActions({ player: 'alice', from: 2000, to: 4000 })), ['a3']);
+    assert.deepStrictEqual(ids(await db.getActions({ team: 'ENL', to: 4000 })), ['a1', 'a3', 'a4']);
+    assert.strictEqual((await db.getActions({ player: 'alice' }))[1].portal_name, 'Portal guid-statue');
+
+    const players = (rows) => rows.map(p => [p.name, p.team, p.actions]);
+    assert.deepStrictEqual(players(await db.getPlayers()), [['alice', 'ENL', 3], ['Bob', 'RES', 1], ['carol', 'ENL', 1]]);
+    assert.deepStrictEqual(players(await db.getPlayers({ team: 'ENL', from: 2500 })), [['alice', 'ENL', 2], ['carol', 'ENL', 1]]);
+    assert.deepStrictEqual(players(await db.getPlayers({ from: 1500, to: 2500 })), [['Bob', 'RES', 1]]);
+    await db.close();
+});
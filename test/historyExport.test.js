@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { HistoryDatabase } = require('../lib/historyDB.js');
+const { exportHistory, importHistory } = require('../lib/historyExport.js');
+const { parsePlexts } = require('../lib/plextParser.js');
+const IngressStateSimulator = require('../lib/ingressSimulator.js');
+
+const openTempDb = async () => {
+    const db = new HistoryDatabase(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-export-')), 'ingress_history.db'));
+    await db.open();
+    return db;
+};
+
+const portal = (guid, lat, lng) => ['PORTAL', { guid, latE6: lat * 1e6, lngE6: lng * 1e6, name: `Portal ${guid}`, address: '', team: 'ENLIGHTENED' }];
+const linkPlext = (guid, timestamp, from, to, player = 'alice', team = 'ENLIGHTENED') => [guid, timestamp, { plext: { markup: [
+    ['PLAYER', { plain: player, team }], ['TEXT', { plain: ' linked from ' }], from, ['TEXT', { plain: ' to ' }], to,
+] } }];
+
+/**
+ * A triangle of ENL links, the last one makes a field.
+ */
+const fillDb = async (db) => {
+    const a = portal('a', 0, 0), b = portal('b', 0, 0.01), c = portal('c', 0.01, 0);
+    const raw = [linkPlext('l1', 1000, a, b), linkPlext('l2', 2000, b, c), linkPlext('l3', 3000, c, a)];
+    await db.saveEvents(parsePlexts(raw), raw);
+};
+
+test('actions exported as JSON Lines are imported with their raw plexts', async () => {
+    const source = await openTempDb();
+    await fillDb(source);
+    const exported = await exportHistory(source, { kind: 'actions', format: 'jsonl' });
+    await source.close();
+
+    const target = await openTempDb();
+    assert.deepStrictEqual(await importHistory(target, exported, parsePlexts), { portals: 3, actions: 3, skipped: 0 });
+    assert.strictEqual((await target.get(`SELECT COUNT(*) AS count FROM raw_plexts`)).count, 3);
+
+    // Importing again keeps the stored rows
+    assert.deepStrictEqual(await importHistory(target, exported, parsePlexts), { portals: 0, actions: 0, skipped: 0 });
+    await target.close();
+});
+
+test('actions without raw plexts are imported with their agents', async () => {
+    const db = await openTempDb();
+    await fillDb(db);
+    const records = [
+        { kind: 'action', id: 'old1', timestamp: 500, type: 'reso', action: 'deploy_RES', team: 'RES', player: 'bob', mu: null, portal_id: 'a', target_portal_id: null, raw: null },
+        { kind: 'action', id: 'old2', timestamp: 4000, type: 'reso', action: 'deploy_ENL', team: 'ENL', player: 'bob', mu: null, portal_id: 'a', target_portal_id: null, raw: null },
+        // alice is known from the DB, an older action does not change her faction
+        { kind: 'action', id: 'old3', timestamp: 100, type: 'reso', action: 'deploy_RES', team: 'RES', player: 'alice', mu: null, portal_id: 'b', target_portal_id: null, raw: null },
+    ];
+    const content = records.map(r => JSON.stringify(r)).join('\n');
+    assert.deepStrictEqual(await importHistory(db, content, parsePlexts), { portals: 0, actions: 3, skipped: 0 });
+
+    const players = await db.all(`SELECT * FROM players ORDER BY name`);
+    assert.deepStrictEqual(players.map(p => ({ ...p })), [
+        { name: 'alice', team: 'ENL', first_seen: 100, last_seen: 3000 },
+        { name: 'bob', team: 'ENL', first_seen: 500, last_seen: 4000 },
+    ]);
+    await db.close();
+});
+
+test('actions of one agent or faction and the active players', async () => {
+    const db = await openTempDb();
+    await fillDb(db);
+    const raw = [linkPlext('l4', 4000, portal('d', 1, 1), portal('e', 1, 1.01), 'bob', 'RESISTANCE')];
+    await db.saveEvents(parsePlexts(raw), raw);
+
+    const ids = (jsonl) => jsonl.trim().split('\n').map(line => JSON.parse(line)).filter(r => r.kind === 'action').map(r => r.id);
+    assert.deepStrictEqual(ids(await exportHistory(db, { kind: 'actions', player: 'BOB' })), ['l4']);
+    assert.deepStrictEqual(ids(await exportHistory(db, { kind: 'actions', team: 'ENL', from: 2000 })), ['l2', 'l3']);
+
+    const csv = await exportHistory(db, { kind: 'players', format: 'csv', to: 3500 });
+    assert.deepStrictEqual(csv.trim().split('\n'), ['name,team,first_seen,last_seen,actions', 'alice,ENL,1970-01-01T00:00:01.000Z,1970-01-01T00:00:03.000Z,3']);
+    const players = (await exportHistory(db, { kind: 'players', team: 'RES' })).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(players.map(p => [p.kind, p.name, p.actions]), [['player', 'bob', 1]]);
+    await assert.rejects(exportHistory(db, { kind: 'players', format: 'geojson' }), /Players have no location/);
+    await db.close();
+});
+
+test('snapshot exports have their own kinds and are not imported', async () => {
+    const db = await openTempDb();
+    await fillDb(db);
+    const exported = await exportHistory(db, { kind: 'snapshot', format: 'jsonl', times: [5000] });
+
+    const records = exported.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual([...new Set(records.map(r => r.kind))], ['snapshot_portal', 'snapshot_link', 'snapshot_field']);
+    assert.ok(records.find(r => r.kind === 'snapshot_field').area_km2 > 0);
+
+    const portalsBefore = (await db.get(`SELECT COUNT(*) AS count FROM portals`)).count;
+    await assert.rejects(importHistory(db, exported, parsePlexts), /Snapshot exports can not be imported/);
+    assert.strictEqual((await db.get(`SELECT COUNT(*) AS count FROM portals`)).count, portalsBefore);
+    await db.close();
+});
+
+test('snapshot exports start from the stored map snapshot like the rendered history', async () => {
+    const db = await openTempDb();
+    await fillDb(db);
+    const area = 'https://intel.ingress.com/?ll=0,0&z=15';
+    const x = { id: 'x', lat: 0.02, lng: 0.02 }, y = { id: 'y', lat: 0.02, lng: 0.03 };
+    await db.saveSnapshot(area, {
+        timestamp: 500,
+        portals: [{ ...x, team: 'RES', resCount: 8 }, { ...y, team: 'RES', resCount: 8 }],
+        links: [{ p1: x, p2: y, team: 'RES' }],
+        fields: [],
+    });
+
+    const links = (jsonl) => jsonl.trim().split('\n').map(line => JSON.parse(line)).filter(r => r.kind === 'snapshot_link').map(r => `${r.id} ${r.team}`).sort();
+    const exported = await exportHistory(db, { kind: 'snapshot', times: [5000], simulation: { area } });
+    assert.deepStrictEqual(links(exported), ['a|b ENL', 'a|c ENL', 'b|c ENL', 'x|y RES']);
+
+    // The same state as simulateHistory builds for a frame at 5000 (see lib/ice.js)
+    const simulator = new IngressStateSimulator(await db.all(`SELECT * FROM portals`));
+    const actions = await db.all(`SELECT * FROM actions ORDER BY timestamp ASC`);
+    const { seededAt } = simulator.seedFromSnapshot(await db.getSnapshotNear(area, 5000), actions, 5000);
+    const replay = actions.filter(a => a.timestamp > seededAt);
+    simulator.indexActions(replay);
+    replay.filter(a => a.timestamp <= 5000).forEach(a => simulator.processAction(a));
+    simulator.advanceTime(5000);
+    assert.deepStrictEqual(links(exported), simulator.getCurrentState().links.map(l => `${l.p1}|${l.p2} ${l.team}`).sort());
+
+    // Without the area, or with snapshots disabled, only the actions are replayed
+    assert.deepStrictEqual(links(await exportHistory(db, { kind: 'snapshot', times: [5000] })), ['a|b ENL', 'a|c ENL', 'b|c ENL']);
+    assert.deepStrictEqual(links(await exportHistory(db, { kind: 'snapshot', times: [5000], simulation: { area, snapshot: { enabled: false } } })), ['a|b ENL', 'a|c ENL', 'b|c ENL']);
+    await db.close();
+});
+
+test('snapshot exports use the decay settings', async () => {
+    const db = await openTempDb();
+    await fillDb(db);
+    const teams = async (simulation) => (await exportHistory(db, { kind: 'snapshot', times: [3 * 24 * 60 * 60 * 1000], simulation }))
+        .trim().split('\n').map(line => JSON.parse(line)).filter(r => r.kind === 'snapshot_portal').map(r => r.team);
+
+    assert.deepStrictEqual(await teams({}), ['ENL', 'ENL', 'ENL']);
+    assert.deepStrictEqual(await teams({ decay: { enabled: true, days: 1 } }), ['NEUTRAL', 'NEUTRAL', 'NEUTRAL']);
+    await db.close();
+});
+
+test('GeoJSON and other files are rejected', async () => {
+    const db = await openTempDb();
+    await fillDb(db);
+    const geojson = await exportHistory(db, { kind: 'portals', format: 'geojson' });
+    await assert.rejects(importHistory(db, geojson, parsePlexts), /GeoJSON exports can not be imported/);
+    await assert.rejects(importHistory(db, 'id,name\n1,x\n', parsePlexts), /Line 1 is not JSON/);
+    await db.close();
+});
+
+test('CSV exports quote values with commas', async () => {
+    const db = await openTempDb();
+    await db.run(`INSERT INTO portals (id, lat, lng, name, address, team) VALUES ('p', 1, 2, 'Fountain, "old"', '', 'NEUTRAL')`);
+    const csv = await exportHistory(db, { kind: 'portals', format: 'csv' });
+    assert.deepStrictEqual(csv.split('\n').slice(0, 2), ['id,name,address,lat,lng,team,legacy', 'p,"Fountain, ""old""",,1,2,NEUTRAL,false']);
+    await db.close();
+});
@@ -0,0 +1,224 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const IngressStateSimulator = require('../lib/ingressSimulator.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PORTALS = [['A', 0, 0], ['B', 0, 0.01], ['C', 0.01, 0.005]].map(([id, lat, lng]) => ({ id, lat, lng }));
+
+const capture = (id, timestamp, team = 'ENL') => ({ timestamp, type: 'portal', action: `captured_${team}`, portal_id: id, team });
+const deploy = (id, timestamp, team = 'ENL') => ({ timestamp, type: 'reso', action: `deploy_${team}`, portal_id: id, team });
+const link = (p1, p2, timestamp, team = 'ENL') => ({ timestamp, type: 'link', action: `link_${team}`, portal_id: p1, target_portal_id: p2, team });
+
+const portalsOf = (simulator) => Object.fromEntries(simulator.getCurrentState().portals.map(p => [p.id, `${p.team}/${p.resonators}`]));
+
+test('resonators decay after the configured days without recharge', () => {
+    const simulator = new IngressStateSimulator(PORTALS, { decay: { enabled: true } });
+    [capture('A', DAY), ...Array.from({ length: 7 }, () => deploy('A', DAY)), capture('B', DAY), deploy('B', DAY), deploy('B', DAY)]
+        .forEach(action => simulator.processAction(action));
+    // C is claimed by the link, a full portal is assumed
+    simulator.processAction(link('A', 'C', 2 * DAY));
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'ENL/8', B: 'ENL/3', C: 'ENL/8' });
+
+    // Any action of the owner recharges
+    simulator.processAction(deploy('A', 6 * DAY));
+    assert.strictEqual(simulator.advanceTime(8.5 * DAY), true);
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'ENL/8', B: 'NEUTRAL/0', C: 'ENL/8' });
+    assert.strictEqual(simulator.links.size, 1);
+
+    assert.strictEqual(simulator.advanceTime(9.5 * DAY), true);
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'ENL/8', B: 'NEUTRAL/0', C: 'NEUTRAL/0' });
+    assert.strictEqual(simulator.links.size, 0);
+
+    assert.strictEqual(simulator.advanceTime(13.5 * DAY), true);
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'NEUTRAL/0', B: 'NEUTRAL/0', C: 'NEUTRAL/0' });
+    // Nothing left to decay
+    assert.strictEqual(simulator.advanceTime(30 * DAY), false);
+});
+
+test('links fail once 2 resonators are left', () => {
+    const simulator = new IngressStateSimulator(PORTALS, { decay: { enabled: true, days: 1 } });
+    simulator.processAction(capture('A', 0));
+    simulator.processAction(link('A', 'B', 0.5 * DAY));
+    // The link recharged A, the capture resonator is the only one
+    simulator.processAction(deploy('A', 0.6 * DAY));
+    simulator.processAction(deploy('A', 0.7 * DAY));
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'ENL/3', B: 'ENL/8', C: 'NEUTRAL/0' });
+
+    assert.strictEqual(simulator.advanceTime(1.55 * DAY), true);
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'ENL/3', B: 'NEUTRAL/0', C: 'NEUTRAL/0' });
+    assert.strictEqual(simulator.links.size, 0);
+});
+
+test('a recaptured portal decays from its new resonators', () => {
+    const simulator = new IngressStateSimulator(PORTALS, { decay: { enabled: true, days: 1 } });
+    simulator.processAction(capture('A', 0));
+    simulator.processAction({ timestamp: 0.5 * DAY, type: 'portal', action: 'destroy', portal_id: 'A', team: 'RES' });
+    simulator.processAction(capture('A', 0.8 * DAY, 'RES'));
+
+    assert.strictEqual(simulator.advanceTime(1.5 * DAY), false);
+    assert.deepStrictEqual(portalsOf(simulator).A, 'RES/1');
+    assert.strictEqual(simulator.advanceTime(1.8 * DAY), true);
+    assert.deepStrictEqual(portalsOf(simulator).A, 'NEUTRAL/0');
+});
+
+test('decay after a snapshot and a rewind', () => {
+    const simulator = new IngressStateSimulator(PORTALS, { decay: { enabled: true, days: 1 } });
+    simulator.loadSnapshot({
+        timestamp: 10 * DAY,
+        portals: [{ ...PORTALS[0], team: 'ENL', resCount: 8 }, { ...PORTALS[1], team: 'RES', resCount: 3 }],
+        links: [],
+        fields: [],
+    });
+    // A resonator destroyed before the snapshot comes back, with the time of its destroy as the newest possible charge
+    simulator.rewind([{ timestamp: 9 * DAY, type: 'reso', action: 'destroy', portal_id: 'B', team: 'ENL' }], 5 * DAY);
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'ENL/8', B: 'RES/4', C: 'NEUTRAL/0' });
+
+    assert.strictEqual(simulator.advanceTime(6 * DAY), true);
+    assert.deepStrictEqual(portalsOf(simulator), { A: 'NEUTRAL/0', B: 'NEUTRAL/0', C: 'NEUTRAL/0' });
+});
+
+test('decay is off unless enabled', () => {
+    [new IngressStateSimulator(PORTALS), new IngressStateSimulator(PORTALS, { decay: { days: 1 } })].forEach(simulator => {
+        simulator.processAction(capture('A', DAY, 'RES'));
+        assert.strictEqual(simulator.advanceTime(100 * DAY), false);
+        assert.deepStrictEqual(portalsOf(simulator).A, 'RES/1');
+    });
+});
+
+// A RES hub H with links to A (east) and B (north), X-Y would cross H-B
+const HUB = [['H', 0, 0], ['A', 0, 0.01], ['B', 0.01, 0], ['X', 0.005, -0.005], ['Y', 0.005, 0.005]].map(([id, lat, lng]) => ({ id, lat, lng }));
+const HOUR = 60 * 60 * 1000;
+const destroyLink = (p1, p2, timestamp, team = 'ENL') => ({ timestamp, type: 'link', action: 'destroy', portal_id: p1, target_portal_id: p2, team });
+
+/**
+ * Process the actions before the destroy plext of H, with every action indexed for the look ahead.
+ */
+const hubBefore = (destroyAt, actions) => {
+    const simulator = new IngressStateSimulator(HUB);
+    simulator.indexActions(actions);
+    actions.filter(a => a.timestamp < destroyAt).forEach(a => simulator.processAction(a));
+    return simulator;
+};
+const HUB_LINKS = [link('H', 'A', 1 * HOUR, 'RES'), link('H', 'B', 2 * HOUR, 'RES')];
+
+test('a destroy plext with one portal and a single link there', () => {
+    const destroy = destroyLink('H', null, 3 * HOUR);
+    const simulator = hubBefore(destroy.timestamp, [HUB_LINKS[0], destroy]);
+    assert.deepStrictEqual(simulator.inferDestroyedLink(destroy), { key: 'A|H', certainty: 'certain', reason: 'only link at this portal' });
+
+    // Links of the attacker's own faction are not candidates
+    const own = destroyLink('H', null, 3 * HOUR, 'RES');
+    assert.deepStrictEqual(hubBefore(own.timestamp, [HUB_LINKS[0], own]).inferDestroyedLink(own).certainty, 'none');
+});
+
+test('a link destroyed again later was still there', () => {
+    const destroy = destroyLink('H', null, 3 * HOUR);
+    const simulator = hubBefore(destroy.timestamp, [...HUB_LINKS, destroy, destroyLink('H', 'B', 5 * HOUR)]);
+    assert.deepStrictEqual(simulator.inferDestroyedLink(destroy), { key: 'A|H', certainty: 'certain', reason: 'the other links are destroyed later' });
+
+    const both = hubBefore(destroy.timestamp, [...HUB_LINKS, destroy, destroyLink('H', 'A', 4 * HOUR), destroyLink('H', 'B', 5 * HOUR)]);
+    assert.deepStrictEqual(both.inferDestroyedLink(destroy), { key: null, certainty: 'none', reason: 'every link at this portal is destroyed later' });
+});
+
+test('a link created again later was gone', () => {
+    const destroy = destroyLink('H', null, 3 * HOUR);
+    const simulator = hubBefore(destroy.timestamp, [...HUB_LINKS, destroy, link('A', 'H', 4 * HOUR, 'RES')]);
+    assert.deepStrictEqual(simulator.inferDestroyedLink(destroy), { key: 'A|H', certainty: 'likely', reason: 'linked again later, 2 links at this portal' });
+});
+
+test('a link crossed by a later link was gone', () => {
+    const destroy = destroyLink('H', null, 3 * HOUR);
+    const simulator = hubBefore(destroy.timestamp, [...HUB_LINKS, destroy, link('X', 'Y', 4 * HOUR)]);
+    assert.deepStrictEqual(simulator.inferDestroyedLink(destroy), { key: 'B|H', certainty: 'likely', reason: 'crossed by a later link, 2 links at this portal' });
+
+    // Later than 24 hours is no evidence
+    const late = hubBefore(destroy.timestamp, [...HUB_LINKS, destroy, link('X', 'Y', 3 * HOUR + 25 * HOUR)]);
+    assert.strictEqual(late.inferDestroyedLink(destroy).certainty, 'guess');
+});
+
+test('without evidence the link to the least certain portal is guessed', () => {
+    const destroy = destroyLink('H', null, 3 * HOUR);
+    // A was seen by its own deploy, B is only known from the link
+    const deployA = { timestamp: 2.5 * HOUR, type: 'reso', action: 'deploy_RES', portal_id: 'A', team: 'RES' };
+    const simulator = hubBefore(destroy.timestamp, [...HUB_LINKS, deployA, destroy]);
+    simulator.advanceTime(destroy.timestamp);
+    assert.ok(simulator.getConfidence('A') > simulator.getConfidence('B'));
+    assert.deepStrictEqual(simulator.inferDestroyedLink(destroy), { key: 'B|H', certainty: 'guess', reason: '1 of 2 links, least confident other end' });
+});
+
+test('replays count certain, likely and guessed picks', () => {
+    const actions = [
+        ...HUB_LINKS,
+        // Likely: H-A is linked again
+        destroyLink('H', null, 3 * HOUR),
+        link('A', 'H', 4 * HOUR, 'RES'),
+        // Guess: H-A and H-B, no evidence afterwards
+        destroyLink('H', null, 30 * HOUR),
+        // Certain: the only link left
+        destroyLink('H', null, 31 * HOUR),
+        // None: no link left
+        destroyLink('H', null, 32 * HOUR),
+    ];
+    const simulator = new IngressStateSimulator(HUB);
+    simulator.indexActions(actions);
+    actions.forEach(a => simulator.processAction(a));
+
+    assert.deepStrictEqual(simulator.linkInferences, { certain: 1, likely: 1, guess: 1, none: 1 });
+    assert.strictEqual(simulator.links.size, 0);
+});
+
+// A base link L-R with two portals north of it, N1 inside the triangle L-R-N2, and S south of it
+const BASE = [['L', 0, 0], ['R', 0, 0.02], ['N1', 0.005, 0.01], ['N2', 0.01, 0.01], ['S', -0.005, 0.01]].map(([id, lat, lng]) => ({ id, lat, lng }));
+const fieldPlext = (portal, timestamp, mu, team = 'ENL') => ({ timestamp, type: 'field', action: `field_${team}`, portal_id: portal, team, mu });
+const corners = (simulator) => simulator.fields.map(f => `${f.p3}${f.mu !== undefined ? `/${f.mu}` : ''}`).sort();
+
+const replay = (actions) => {
+    const simulator = new IngressStateSimulator(BASE);
+    simulator.indexActions(actions);
+    actions.forEach(action => simulator.processAction(action));
+    return simulator;
+};
+
+test('a link closes the largest field on each side', () => {
+    const simulator = replay([link('L', 'N1', 1), link('R', 'N1', 2), link('L', 'N2', 3), link('R', 'N2', 4), link('L', 'S', 5), link('R', 'S', 6), link('L', 'R', 7)]);
+    assert.deepStrictEqual(corners(simulator), ['N2', 'S']);
+    assert.deepStrictEqual(simulator.fields.map(f => [f.p1, f.p2, f.team]), [['L', 'R', 'ENL'], ['L', 'R', 'ENL']]);
+});
+
+test('only links of the same faction close a field', () => {
+    const simulator = new IngressStateSimulator(BASE);
+    simulator.addLink('L', 'S', 'RES');
+    simulator.addLink('R', 'S', 'RES');
+    simulator.addLink('L', 'R', 'ENL');
+    assert.strictEqual(simulator.detectAndCreateFields('L', 'R', 'ENL'), false);
+
+    simulator.addLink('L', 'N2', 'ENL');
+    simulator.addLink('R', 'N2', 'ENL');
+    assert.strictEqual(simulator.detectAndCreateFields('L', 'R', 'ENL'), true);
+    assert.deepStrictEqual(corners(simulator), ['N2']);
+});
+
+test('fields are layered when linking from their corners', () => {
+    const simulator = replay([link('L', 'N2', 1), link('R', 'N2', 2), link('L', 'R', 3), link('L', 'N1', 4), link('R', 'N1', 5)]);
+    assert.deepStrictEqual(simulator.fields.map(f => [f.p1, f.p2, f.p3].sort().join('|')).sort(), ['L|N1|R', 'L|N2|R']);
+});
+
+test('a link from under a field removes that field', () => {
+    const simulator = replay([link('L', 'N2', 1), link('R', 'N2', 2), link('L', 'R', 3), link('N1', 'L', 4)]);
+    assert.deepStrictEqual(simulator.fields, []);
+    assert.strictEqual(simulator.links.size, 4);
+});
+
+test('field plexts decide how many fields a link made', () => {
+    const setup = [link('L', 'N2', 1), link('R', 'N2', 2), link('L', 'S', 3), link('R', 'S', 4)];
+
+    // Without plexts both sides are taken from the geometry
+    assert.deepStrictEqual(corners(replay([...setup, link('L', 'R', 10)])), ['N2', 'S']);
+    // One plext: the larger field, with the MU of the plext
+    assert.deepStrictEqual(corners(replay([...setup, link('L', 'R', 10), fieldPlext('L', 10, 40)])), ['N2/40']);
+    // Two plexts: the larger MU goes to the larger field
+    assert.deepStrictEqual(corners(replay([...setup, link('L', 'R', 10), fieldPlext('L', 10, 5), fieldPlext('R', 10, 60)])), ['N2/60', 'S/5']);
+    // Plexts of another time, portal or faction do not count
+    const unrelated = [fieldPlext('L', 11, 40), fieldPlext('N2', 10, 40), fieldPlext('L', 10, 40, 'RES')];
+    assert.deepStrictEqual(corners(replay([...setup, link('L', 'R', 10), ...unrelated])), ['N2', 'S']);
+});
@@ -0,0 +1,90 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SELECTORS, applyFilters, buildSelectors, filterMismatches, readFilterState, resolveFilters } = require('../lib/intelFilters.js');
+
+/**
+ * Minimal filter UI: level notches by selector and layer toggles by text.
+ * Clicking a notch selects it instead of the other notch of its row, clicking a toggle flips it.
+ * page.evaluate runs the function in Node with this document.
+ */
+const createPage = ({ notches = {}, toggles = {} }) => {
+    const clicks = [];
+    const element = (name, selected, onClick) => {
+        const classes = new Set(selected ? ['selected'] : []);
+        return {
+            classes,
+            textContent: ` ${name} `,
+            classList: { contains: (c) => classes.has(c) },
+            querySelector: () => null,
+            getAttribute: () => null,
+            click: () => {
+                clicks.push(name);
+                onClick(classes);
+            },
+        };
+    };
+
+    const bySelector = new Map();
+    const row = (selector) => selector.replace(/\d+$/, '');
+    Object.entries(notches).forEach(([selector, selected]) => bySelector.set(selector, element(selector, selected, (classes) => {
+        bySelector.forEach((other, otherSelector) => row(otherSelector) === row(selector) && other.classes.delete('selected'));
+        classes.add('selected');
+    })));
+    const layerToggles = Object.entries(toggles).map(([label, on]) => element(label, on, (classes) => {
+        if (!classes.delete('selected')) classes.add('selected');
+    }));
+
+    global.document = {
+        querySelector: (selector) => bySelector.get(selector) || null,
+        querySelectorAll: () => layerToggles,
+    };
+    return { clicks, page: { evaluate: async (fn, arg) => fn(arg) } };
+};
+
+afterEach(() => {
+    delete global.document;
+});
+
+test('filters from the project config', () => {
+    assert.strictEqual(resolveFilters(undefined), null);
+
+    const filters = resolveFilters({ minLevel: 5, links: false, fields: 'yes', selectors: { levelLow: '.low-{level}', layerLabels: { links: 'Verbindungen' } } });
+    assert.deepStrictEqual([filters.minLevel, filters.maxLevel, filters.layers], [5, null, { links: false }]);
+    assert.strictEqual(filters.selectors.levelHigh, DEFAULT_SELECTORS.levelHigh);
+    assert.deepStrictEqual(filters.selectors.layerLabels, { portals: 'Portals', links: 'Verbindungen', fields: 'Fields' });
+
+    assert.throws(() => resolveFilters({ minLevel: 9 }), /Invalid portal level filter '9'/);
+    assert.throws(() => resolveFilters({ maxLevel: 2.5 }), /Invalid portal level filter/);
+    assert.throws(() => resolveFilters({ minLevel: 6, maxLevel: 3 }), /minLevel is higher than maxLevel/);
+});
+
+test('level selectors are built from the templates', () => {
+    const selectors = buildSelectors(resolveFilters({ selectors: { levelHigh: '[data-row="high"] [data-level="{level}"], #high{level}' } }));
+    assert.deepStrictEqual(selectors.levelLow, Array.from({ length: 9 }, (_, level) => `#level_low${level}`));
+    assert.strictEqual(selectors.levelHigh[7], '[data-row="high"] [data-level="7"], #high7');
+    assert.strictEqual(selectors.layerToggle, DEFAULT_SELECTORS.layerToggle);
+    assert.strictEqual(selectors.selectedClass, 'selected');
+});
+
+test('mismatches between the wanted filters and the page', () => {
+    const filters = resolveFilters({ minLevel: 5, maxLevel: 8, portals: false, links: true });
+    const state = { minLevel: 0, maxLevel: 8, layers: { portals: true }, found: { portals: true, links: false } };
+    assert.deepStrictEqual(filterMismatches(filters, state), ['minLevel is 0, wanted 5', 'portals is on, wanted off', 'links toggle not found']);
+    assert.deepStrictEqual(filterMismatches(filters, { minLevel: 5, maxLevel: 8, layers: { portals: false, links: true }, found: { portals: true, links: true } }), []);
+});
+
+test('the filter UI is clicked until it matches', async () => {
+    const notches = Object.fromEntries([0, 1, 5].flatMap(level => [[`#level_low${level}`, level === 0], [`#level_high${level}`, false]]));
+    notches['#level_high8'] = true;
+    const { page, clicks } = createPage({ notches, toggles: { Portals: true, Links: true, Fields: false } });
+    const filters = resolveFilters({ minLevel: 5, portals: false, fields: true });
+
+    assert.deepStrictEqual(await readFilterState(page, filters), {
+        minLevel: 0, maxLevel: 8, layers: { portals: true, links: true, fields: false }, found: { portals: true, links: true, fields: true },
+    });
+    assert.strictEqual(await applyFilters(page, filters), true);
+    assert.deepStrictEqual(clicks, ['#level_low5', 'Portals', 'Fields']);
+
+    assert.deepStrictEqual(filterMismatches(filters, await readFilterState(page, filters)), []);
+    assert.strictEqual(await applyFilters(page, filters), false);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CaptureManifest, MANIFEST_FILE } = require('../lib/manifest.js');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+
+test('entries are appended with their session', () => {
+    const dir = tempDir();
+    assert.strictEqual(CaptureManifest.exists(dir), false);
+    assert.deepStrictEqual(CaptureManifest.read(dir), []);
+
+    const manifest = new CaptureManifest(dir, 1);
+    manifest.append({ status: 'captured', file: '1000.png', scheduledAt: 1000 });
+    manifest.append({ status: 'missed', scheduledAt: 2000, reason: 'load failed' });
+
+    assert.strictEqual(CaptureManifest.exists(dir), true);
+    assert.deepStrictEqual(CaptureManifest.read(dir), [
+        { session: 1, status: 'captured', file: '1000.png', scheduledAt: 1000 },
+        { session: 1, status: 'missed', scheduledAt: 2000, reason: 'load failed' },
+    ]);
+});
+
+test('broken lines are skipped', () => {
+    const dir = tempDir();
+    // A crash in the middle of a write leaves half a line
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), '{"session":1,"status":"captured","file":"1.png"}\n{"session":1,"sta\n\n');
+    assert.deepStrictEqual(CaptureManifest.read(dir), [{ session: 1, status: 'captured', file: '1.png' }]);
+});
+
+test('the timeline is ordered by time and has each file once', () => {
+    const dir = tempDir();
+    const first = new CaptureManifest(dir, 1);
+    first.append({ status: 'captured', file: '3000.png', scheduledAt: 3000, loadMs: 1 });
+    first.append({ status: 'missed', scheduledAt: 2000 });
+    first.append({ status: 'captured', file: '1000.png', scheduledAt: 1000 });
+    // A live capture without a scheduled time
+    first.append({ status: 'captured', file: '1500.png', timestamp: 1500 });
+
+    // A repeated simulation writes the same file again, the latest entry counts
+    const second = new CaptureManifest(dir, 2);
+    second.append({ status: 'captured', file: '3000.png', scheduledAt: 3000, loadMs: 2 });
+    // Missed slots of different sessions at the same time are different slots
+    second.append({ status: 'missed', scheduledAt: 2000 });
+
+    const timeline = CaptureManifest.timeline(dir);
+    assert.deepStrictEqual(timeline.map(e => [e.session, e.status, e.file || null]), [
+        [1, 'captured', '1000.png'],
+        [1, 'captured', '1500.png'],
+        [1, 'missed', null],
+        [2, 'missed', null],
+        [2, 'captured', '3000.png'],
+    ]);
+    assert.strictEqual(timeline[4].loadMs, 2);
+});
+
+test('dropped duplicates are in the timeline', () => {
+    const dir = tempDir();
+    const manifest = new CaptureManifest(dir, 1);
+    manifest.append({ status: 'duplicate', scheduledAt: 2000, duplicateOf: '1000.png' });
+    manifest.append({ status: 'captured', file: '1000.png', scheduledAt: 1000 });
+    assert.deepStrictEqual(CaptureManifest.timeline(dir).map(e => e.status), ['captured', 'duplicate']);
+});
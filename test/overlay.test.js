@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { OVERLAY_ID, buildOverlayCss, buildOverlayText, formatTimestamp, getOverlayBounds, resolveOverlay } = require('../lib/overlay.js');
+
+const JAN_5 = Date.UTC(2025, 0, 5, 3, 4, 5);
+
+test('timestamps are formatted with the tokens', () => {
+    assert.strictEqual(formatTimestamp(JAN_5, undefined, 'UTC'), '2025-01-05 03:04:05');
+    assert.strictEqual(formatTimestamp(JAN_5, 'DD.MM.YYYY HH:mm Z', 'UTC'), '05.01.2025 03:04 UTC');
+    // Text without tokens is kept
+    assert.strictEqual(formatTimestamp(JAN_5, 'Day DD, ss s', 'UTC'), 'Day 05, 05 s');
+});
+
+test('time zones move the date and use 00 for midnight', () => {
+    // 22:30 UTC is already the next day in Berlin summer time
+    const summer = Date.UTC(2025, 6, 1, 22, 30);
+    assert.strictEqual(formatTimestamp(summer, 'YYYY-MM-DD HH:mm Z', 'Europe/Berlin'), '2025-07-02 00:30 GMT+2');
+    assert.strictEqual(formatTimestamp(Date.UTC(2025, 0, 1, 23, 0), 'HH:mm', 'Europe/Berlin'), '00:00');
+});
+
+test('overlay settings are validated', () => {
+    assert.deepStrictEqual(resolveOverlay(null), resolveOverlay({}));
+    assert.strictEqual(resolveOverlay({ position: 'bottom-left' }).font, '32px monospace');
+    assert.throws(() => resolveOverlay({ position: 'middle' }), /Unknown overlay position 'middle'/);
+    assert.throws(() => resolveOverlay({ timeZone: 'Mars/Olympus' }), RangeError);
+});
+
+test('overlay text and position', () => {
+    const options = resolveOverlay({ title: 'Frankfurt', text: 'Anomaly', timeZone: 'UTC', position: 'bottom-center' });
+    assert.strictEqual(buildOverlayText(options, JAN_5), 'Frankfurt\n2025-01-05 03:04:05\nAnomaly');
+    assert.strictEqual(buildOverlayText(resolveOverlay({ timeZone: 'UTC' }), JAN_5), '2025-01-05 03:04:05');
+
+    const css = buildOverlayCss(options);
+    assert.match(css, new RegExp(`#${OVERLAY_ID} \\{`));
+    assert.match(css, /bottom: 20px; left: 50%; transform: translateX\(-50%\);/);
+    assert.match(css, /color: #0f0; font: 32px monospace;/);
+});
+
+test('overlay bounds in page pixels, null without overlay', async () => {
+    const rect = { x: 1500, y: 20, width: 400, height: 60, top: 20, right: 1900, bottom: 80, left: 1500 };
+    // page.evaluate runs the function in Node with a document that has the overlay or not
+    const pageWith = (element) => ({
+        evaluate: async (fn, id) => {
+            global.document = { getElementById: (wanted) => wanted === OVERLAY_ID ? element : null };
+            try {
+                return fn(id);
+            } finally {
+                delete global.document;
+            }
+        },
+    });
+
+    assert.deepStrictEqual(await getOverlayBounds(pageWith({ getBoundingClientRect: () => rect })), { x: 1500, y: 20, width: 400, height: 60 });
+    assert.strictEqual(await getOverlayBounds(pageWith(null)), null);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { resolveProfile } = require('../lib/pageProfiles.js');
+
+test('built-in profiles hide the Intel UI and have no scripts', () => {
+    const profile = resolveProfile('with scores');
+    assert.match(profile.css, /#player_stats/);
+    assert.doesNotMatch(profile.css, /#game_stats/);
+    assert.deepStrictEqual(profile.scripts, []);
+});
+
+test('scripts of extended profiles stay separate, parent first', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    fs.writeFileSync(path.join(dir, 'base.js'), 'if (!window.x) return;');
+    fs.writeFileSync(path.join(dir, 'child.js'), 'document.title = "child";');
+
+    const profile = resolveProfile('child', {
+        base: { script: 'base.js', show: ['#chat'] },
+        child: { extends: 'base', script: 'child.js', hide: ['.popup'] },
+    }, dir);
+
+    assert.deepStrictEqual(profile.scripts, [
+        { file: 'base.js', source: 'if (!window.x) return;' },
+        { file: 'child.js', source: 'document.title = "child";' },
+    ]);
+    assert.match(profile.css, /\.popup/);
+    assert.doesNotMatch(profile.css, /#chat,/);
+});
+
+test('unknown profiles and loops are rejected', () => {
+    assert.throws(() => resolveProfile('nope'), /Unknown cleanup profile 'nope'/);
+    assert.throws(() => resolveProfile('a', { a: { extends: 'b' }, b: { extends: 'a' } }), /extends itself/);
+});
+
+test('custom profiles extend custom and built-in profiles', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    fs.writeFileSync(path.join(dir, 'dark.css'), '#map_canvas { filter: invert(1); }');
+    fs.writeFileSync(path.join(dir, 'labels.css'), '.portal-label { display: none; }');
+
+    const custom = {
+        dark: { extends: 'with comm', css: 'dark.css' },
+        'dark without labels': { extends: 'dark', css: 'labels.css', show: ['#header'] },
+    };
+    const profile = resolveProfile('dark without labels', custom, dir);
+    assert.strictEqual(profile.name, 'dark without labels');
+    // CSS files in the order of the chain, after the hidden elements
+    assert.ok(profile.css.indexOf('/* dark.css */') < profile.css.indexOf('/* labels.css */'));
+    assert.ok(profile.css.indexOf('display: none !important') < profile.css.indexOf('/* dark.css */'));
+    assert.match(profile.css, /filter: invert\(1\)/);
+    // 'with comm' keeps the chat, the last profile shows the header
+    assert.doesNotMatch(profile.css, /#chat|#header/);
+    assert.match(profile.css, /#game_stats/);
+});
+
+test('without extends a custom profile builds on the clean map', () => {
+    const profile = resolveProfile('minimal', { minimal: { show: ['#game_stats'], hide: ['.popup'] } });
+    assert.match(profile.css, /#chat/);
+    assert.doesNotMatch(profile.css, /#game_stats/);
+    assert.match(profile.css, /\.popup \{/);
+});
+
+test('a custom profile with a built-in name extends the built-in one', () => {
+    const profile = resolveProfile('clean map', { 'clean map': { show: ['#updatestatus'] } });
+    assert.match(profile.css, /#header/);
+    assert.doesNotMatch(profile.css, /#updatestatus/);
+});
+
+test('missing files of a profile are reported', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    assert.throws(() => resolveProfile('p', { p: { css: 'gone.css' } }, dir), /File of cleanup profile 'p' not found: .*gone\.css/);
+    assert.throws(() => resolveProfile('p', { p: { script: 'gone.js' } }, dir), /gone\.js/);
+});
@@ -0,0 +1,159 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { PlextFetcher, PlextFetchError, classifyResponse } = require('../lib/plextFetcher.js');
+
+// Local getPlexts mock, every request takes the next queued response
+let responses = [];
+let requests = [];
+let server;
+let endpoint;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            const { status = 200, headers = {}, json, text } = responses.shift() || { json: { result: [] } };
+            res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html', ...headers });
+            res.end(json ? JSON.stringify(json) : text || '');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/r/getPlexts`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    responses = [];
+    requests = [];
+});
+
+/**
+ * The same response shape requestPlexts builds inside the Intel page.
+ */
+const request = async (payload) => {
+    try {
+        const res = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+        const text = await res.text();
+        let body = null;
+        try { body = JSON.parse(text); } catch (e) { }
+        return { status: res.status, body, text: body ? null : text, error: null, retryAfter: res.headers.get('Retry-After') };
+    } catch (e) {
+        return { status: 0, body: null, text: null, error: e.message, retryAfter: null };
+    }
+};
+
+const plext = (guid, timestamp) => [guid, timestamp, { plext: { markup: [] } }];
+
+/**
+ * Fetcher without real waiting, the requested sleeps are recorded.
+ */
+const createFetcher = (options = {}, refresh = async () => ({ v: 'refreshed' })) => {
+    const sleeps = [];
+    const fetcher = new PlextFetcher(request, refresh, { v: 'initial', tab: 'all' },
+        { minDelayMs: 0, backoffMs: 1000, ...options }, async (ms) => { sleeps.push(ms); });
+    return { fetcher, sleeps };
+};
+
+test('a page of plexts is returned with the time window in the payload', async () => {
+    responses.push({ json: { result: [plext('a', 2000), plext('b', 1000)] } });
+    const { fetcher, sleeps } = createFetcher();
+
+    const items = await fetcher.fetchPage(500, 3000);
+    assert.deepStrictEqual(items.map(i => i[0]), ['a', 'b']);
+    assert.deepStrictEqual(requests, [{ v: 'initial', tab: 'all', minTimestampMs: 500, maxTimestampMs: 3000, plextContinuationGuid: '' }]);
+    assert.deepStrictEqual(sleeps, []);
+});
+
+test('an empty result ends the fetch', async () => {
+    responses.push({ json: { result: [plext('a', 2000)] } }, { json: { result: [] } });
+    const { fetcher } = createFetcher();
+
+    // Page backwards like fetchHistoryUntil until Intel has nothing older
+    const seen = [];
+    let max = 3000;
+    while (true) {
+        const items = await fetcher.fetchPage(0, max);
+        if (items.length === 0) break;
+        seen.push(...items.map(i => i[0]));
+        max = items[items.length - 1][1] - 1;
+    }
+    assert.deepStrictEqual(seen, ['a']);
+    assert.deepStrictEqual(requests.map(r => r.maxTimestampMs), [3000, 1999]);
+});
+
+test('429 waits at least as long as Retry-After asks', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '7' }, text: 'Too Many Requests' }, { json: { result: [plext('a', 1)] } });
+    const { fetcher, sleeps } = createFetcher();
+
+    const items = await fetcher.fetchPage(0, 10);
+    assert.strictEqual(items.length, 1);
+    assert.deepStrictEqual(sleeps, [7000]);
+    assert.strictEqual(requests.length, 2);
+});
+
+test('no retry is started that would end after the deadline', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '7' }, text: 'Too Many Requests' }, { json: { result: [plext('a', 1)] } });
+    const { fetcher, sleeps } = createFetcher();
+
+    await assert.rejects(fetcher.fetchPage(0, 10, Date.now() + 5000), (error) => error.reason === 'throttled' && /no time left for a retry in 7s/.test(error.message));
+    assert.deepStrictEqual(sleeps, []);
+    assert.strictEqual(requests.length, 1);
+});
+
+test('5xx is retried with exponential backoff', async () => {
+    responses.push({ status: 502, text: 'Bad Gateway' }, { status: 500, text: 'Error' }, { json: { result: [plext('a', 1)] } });
+    const { fetcher, sleeps } = createFetcher();
+
+    await fetcher.fetchPage(0, 10);
+    assert.strictEqual(sleeps.length, 2);
+    // 20% jitter around 1s, then 2s
+    assert.ok(sleeps[0] >= 800 && sleeps[0] <= 1200, `first retry after ${sleeps[0]}ms`);
+    assert.ok(sleeps[1] >= 1600 && sleeps[1] <= 2400, `second retry after ${sleeps[1]}ms`);
+});
+
+test('retries end with a PlextFetchError', async () => {
+    responses.push(...Array(3).fill({ status: 503, text: 'Unavailable' }));
+    const { fetcher } = createFetcher({ maxRetries: 2 });
+
+    await assert.rejects(fetcher.fetchPage(0, 10), (error) => error instanceof PlextFetchError && error.reason === 'server error');
+    assert.strictEqual(requests.length, 3);
+});
+
+test('403 reloads Intel and continues with the new payload', async () => {
+    responses.push({ status: 403, text: 'Forbidden' }, { json: { result: [plext('a', 1)] } });
+    let refreshes = 0;
+    const { fetcher, sleeps } = createFetcher({}, async () => { refreshes++; return { v: 'refreshed' }; });
+
+    const items = await fetcher.fetchPage(0, 10);
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(refreshes, 1);
+    assert.deepStrictEqual(requests.map(r => r.v), ['initial', 'refreshed']);
+    assert.deepStrictEqual(sleeps, []);
+});
+
+test('an outdated Intel version also reloads, up to maxRefreshes times', async () => {
+    responses.push(...Array(3).fill({ json: { error: 'out of date' } }));
+    const { fetcher } = createFetcher({ maxRefreshes: 2 });
+
+    await assert.rejects(fetcher.fetchPage(0, 10), (error) => error.reason === 'session');
+    assert.strictEqual(requests.length, 3);
+});
+
+test('the login page stops the fetch at once', async () => {
+    responses.push({ status: 200, text: '<html>Welcome to Ingress.</html>' });
+    const { fetcher } = createFetcher();
+
+    await assert.rejects(fetcher.fetchPage(0, 10), (error) => error.reason === 'login');
+    assert.strictEqual(requests.length, 1);
+});
+
+test('classifyResponse without a response is a network error', () => {
+    assert.strictEqual(classifyResponse({ status: 0, error: 'ECONNREFUSED' }).kind, 'transient');
+    assert.strictEqual(classifyResponse({ status: 401 }).kind, 'login');
+    assert.strictEqual(classifyResponse({ status: 404 }).kind, 'fatal');
+    assert.strictEqual(classifyResponse({ status: 200, body: { result: {} } }).kind, 'transient');
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RULES, parsePlext, parsePlexts } = require('../lib/plextParser.js');
+
+const player = (name, team = 'ENLIGHTENED') => ['PLAYER', { plain: name, team }];
+const text = (plain) => ['TEXT', { plain }];
+const faction = (team) => ['FACTION', { team, plain: team === 'ENLIGHTENED' ? 'Enlightened' : 'Resistance' }];
+const portal = (guid, lat = 50.1, lng = 8.6) => ['PORTAL', { guid, latE6: lat * 1e6, lngE6: lng * 1e6, name: `Portal ${guid}`, address: 'Main St', team: 'NEUTRAL' }];
+const plext = (...markup) => ['plext-guid', 1700000000000, { plext: { text: 'text', markup } }];
+
+test('resonator deploy and destroy', () => {
+    const deployed = parsePlext(plext(player('alice'), text(' deployed a Resonator on '), portal('p1')));
+    assert.deepStrictEqual(
+        { event: deployed.event, type: deployed.type, action: deployed.action, team: deployed.team, player: deployed.player },
+        { event: 'resonator_deployed', type: 'reso', action: 'deploy_ENL', team: 'ENL', player: 'alice' });
+    assert.deepStrictEqual(deployed.cords1, { id: 'p1', lat: 50.1, lng: 8.6, name: 'Portal p1', address: 'Main St', team: 'NEUTRAL' });
+    assert.strictEqual(deployed.cords2, null);
+
+    const destroyed = parsePlext(plext(player('bob', 'RESISTANCE'), text(' destroyed a Resonator on '), portal('p1')));
+    assert.deepStrictEqual([destroyed.event, destroyed.action, destroyed.team], ['resonator_destroyed', 'destroy', 'RES']);
+});
+
+test('links with both portals and with one portal', () => {
+    const linked = parsePlext(plext(player('alice'), text(' linked from '), portal('p1'), text(' to '), portal('p2')));
+    assert.deepStrictEqual([linked.event, linked.action, linked.cords1.id, linked.cords2.id], ['link_created', 'link_ENL', 'p1', 'p2']);
+
+    const destroyed = parsePlext(plext(player('bob', 'RESISTANCE'), text(' destroyed the '), faction('ENLIGHTENED'), text(' Link '), portal('p1'), text(' to '), portal('p2')));
+    assert.deepStrictEqual([destroyed.event, destroyed.action, destroyed.team, destroyed.cords2.id], ['link_destroyed', 'destroy', 'RES', 'p2']);
+
+    const oneEnd = parsePlext(plext(player('bob', 'RESISTANCE'), text(' destroyed the Link '), portal('p1')));
+    assert.deepStrictEqual([oneEnd.event, oneEnd.cords1.id, oneEnd.cords2], ['link_destroyed', 'p1', null]);
+});
+
+test('fields with and without MU', () => {
+    const created = parsePlext(plext(player('alice'), text(' created a Control Field @'), portal('p1'), text(' +1,234 MUs')));
+    assert.deepStrictEqual([created.event, created.action, created.mu], ['field_created', 'field_ENL', 1234]);
+
+    const destroyed = parsePlext(plext(player('bob', 'RESISTANCE'), text(' destroyed a Control Field @'), portal('p1'), text(' -56 MUs')));
+    assert.deepStrictEqual([destroyed.event, destroyed.action, destroyed.mu], ['field_destroyed', 'destroy', 56]);
+
+    const old = parsePlext(plext(player('alice'), text(' created a Control Field @'), portal('p1')));
+    assert.deepStrictEqual([old.event, old.mu], ['field_created', null]);
+});
+
+test('mods, captures, neutralizations, fractures and battle beacons', () => {
+    const mod = parsePlext(plext(player('alice'), text(' deployed a Portal Shield on '), portal('p1')));
+    assert.deepStrictEqual([mod.event, mod.action, mod.item], ['mod_deployed', 'deploy_ENL', 'Portal Shield']);
+
+    const captured = parsePlext(plext(player('alice'), text(' captured '), portal('p1')));
+    assert.deepStrictEqual([captured.event, captured.action], ['portal_captured', 'captured_ENL']);
+
+    const neutralized = parsePlext(plext(portal('p1'), text(' neutralized by '), player('bob', 'RESISTANCE')));
+    assert.deepStrictEqual([neutralized.event, neutralized.action, neutralized.team], ['portal_neutralized', 'destroy', 'RES']);
+
+    const machina = parsePlext(plext(player('__MACHINA__', 'NEUTRAL'), text(' deployed a Resonator on '), portal('p1')));
+    assert.deepStrictEqual([machina.team, machina.action], ['MACHINA', 'deploy_MACHINA']);
+
+    const fractured = parsePlext(plext(portal('p1'), text(' has been fractured')));
+    assert.strictEqual(fractured.event, 'portal_fractured');
+
+    const beacon = parsePlext(plext(faction('RESISTANCE'), text(' won a CAT-III Battle Beacon on '), portal('p1')));
+    assert.deepStrictEqual([beacon.event, beacon.action, beacon.category], ['battle_beacon_won', 'won_RES', 'III']);
+});
+
+test('text split over several segments still matches', () => {
+    const deployed = parsePlext(plext(player('alice'), text(' deployed '), text('a Resonator'), text(' on '), portal('p1')));
+    assert.strictEqual(deployed.event, 'resonator_deployed');
+});
+
+test('ignored and unknown plexts', () => {
+    assert.strictEqual(parsePlext(plext(portal('p1'), text(' is under attack by '), player('bob'))), null);
+    assert.strictEqual(parsePlext(plext(text('Your Portal '), portal('p1'), text(' neutralized by '), player('bob'))), null);
+
+    const unknown = parsePlext(plext(player('alice'), text(' did something new with '), portal('p1')));
+    assert.deepStrictEqual([unknown.event, unknown.type, unknown.action, unknown.cords1.id], ['unknown', 'unknown', 'unknown', 'p1']);
+
+    const items = [plext(portal('p1'), text(' is under attack by '), player('bob')), plext(player('alice'), text(' captured '), portal('p1'))];
+    assert.deepStrictEqual(parsePlexts(items).map(e => e.event), ['portal_captured']);
+    assert.deepStrictEqual(parsePlexts(null), []);
+});
+
+test('every rule has an event and either a type and action or ignore', () => {
+    RULES.forEach(rule => {
+        assert.ok(rule.event, JSON.stringify(rule.markup));
+        assert.ok(rule.ignore || (rule.type && rule.action), rule.event);
+        assert.ok(Array.isArray(rule.markup) && rule.markup.length > 0, rule.event);
+    });
+});
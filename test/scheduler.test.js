@@ -0,0 +1,84 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { CaptureScheduler } = require('../lib/scheduler.js');
+
+const INTERVAL = 10000;
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 5000 }));
+afterEach(() => mock.timers.reset());
+
+/**
+ * Run the scheduler on mocked time. The first slot takes 2.5 intervals, all others take no time.
+ * @returns {Promise<{slots: number[], missed: number[], result: Object}>} Scheduled times of captured and missed slots
+ */
+const runWithOverrun = async (policy, maxSlots) => {
+    const slots = [];
+    const missed = [];
+    let done = false;
+
+    const run = new CaptureScheduler(INTERVAL, policy).run({
+        maxSlots,
+        onSlot: async ({ scheduledAt }) => {
+            slots.push(scheduledAt);
+            if (slots.length === 1) mock.timers.tick(2.5 * INTERVAL);
+        },
+        onMissed: ({ scheduledAt, reason }) => {
+            assert.strictEqual(reason, 'overrun');
+            missed.push(scheduledAt);
+        },
+    }).finally(() => { done = true; });
+
+    while (!done) {
+        await new Promise(r => setImmediate(r));
+        mock.timers.tick(1000);
+    }
+    return { slots, missed, result: await run };
+};
+
+test('slots are aligned to wall-clock boundaries', async () => {
+    const { slots, missed } = await runWithOverrun('skip', 1);
+    assert.deepStrictEqual(slots, [10000]);
+    assert.deepStrictEqual(missed, []);
+});
+
+test('skip waits for the next boundary and reports the passed slots', async () => {
+    const { slots, missed, result } = await runWithOverrun('skip', 5);
+    assert.deepStrictEqual(slots, [10000, 40000, 50000]);
+    assert.deepStrictEqual(missed, [20000, 30000]);
+    assert.deepStrictEqual(result, { captured: 3, missed: 2 });
+});
+
+test('immediate captures the last passed slot right away', async () => {
+    const { slots, missed, result } = await runWithOverrun('immediate', 4);
+    assert.deepStrictEqual(slots, [10000, 30000, 40000]);
+    assert.deepStrictEqual(missed, [20000]);
+    assert.deepStrictEqual(result, { captured: 3, missed: 1 });
+});
+
+test('stretch shifts the grid and reports the passed slots', async () => {
+    const { slots, missed, result } = await runWithOverrun('stretch', 5);
+    assert.deepStrictEqual(slots, [10000, 35000, 45000]);
+    assert.deepStrictEqual(missed, [20000, 30000]);
+    assert.deepStrictEqual(result, { captured: 3, missed: 2 });
+});
+
+test('missed slots count towards maxSlots', async () => {
+    const { slots, missed } = await runWithOverrun('skip', 2);
+    assert.deepStrictEqual(slots, [10000]);
+    assert.deepStrictEqual(missed, [20000]);
+});
+
+test('a failed slot counts as missed', async () => {
+    let done = false;
+    const run = new CaptureScheduler(INTERVAL).run({ maxSlots: 2, onSlot: async () => false }).finally(() => { done = true; });
+    while (!done) {
+        await new Promise(r => setImmediate(r));
+        mock.timers.tick(1000);
+    }
+    assert.deepStrictEqual(await run, { captured: 0, missed: 2 });
+});
+
+test('invalid interval and policy are rejected', () => {
+    assert.throws(() => new CaptureScheduler(0), /Invalid interval/);
+    assert.throws(() => new CaptureScheduler(INTERVAL, 'later'), /Unknown missed frame policy/);
+});
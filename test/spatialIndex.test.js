@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { linksIntersect } = require('../lib/geo.js');
+const { LinearLinkIndex, LinkGrid } = require('../lib/spatialIndex.js');
+
+// Seeded PRNG (mulberry32), like bench/simulator.js
+const createRandom = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const wrapLng = (lng) => ((lng + 540) % 360) - 180;
+
+/**
+ * Random links around a point, with end points up to spread degrees away.
+ */
+const randomLinks = (random, prefix, count, center, spread) => Array.from({ length: count }, (_, i) => {
+    const end = () => ({
+        lat: Math.max(-89.99, Math.min(89.99, center.lat + (random() - 0.5) * 2 * spread)),
+        lng: wrapLng(center.lng + (random() - 0.5) * 2 * spread),
+    });
+    return { key: `${prefix}${i}`, a: { ...end(), id: `${prefix}${i}a` }, b: { ...end(), id: `${prefix}${i}b` } };
+});
+
+// Short and long links on the antimeridian, around the north pole and in a city, for a grid of 1 degree cells
+const createLinks = (seed) => {
+    const random = createRandom(seed);
+    return [
+        ...randomLinks(random, 'dateline', 60, { lat: 0, lng: 180 }, 3),
+        ...randomLinks(random, 'longDateline', 20, { lat: 10, lng: 180 }, 40),
+        ...randomLinks(random, 'pole', 60, { lat: 86, lng: 0 }, 4),
+        ...randomLinks(random, 'polar', 20, { lat: 80, lng: 180 }, 60),
+        ...randomLinks(random, 'city', 60, { lat: 50, lng: 8 }, 2),
+        ...randomLinks(random, 'long', 20, { lat: 50, lng: 8 }, 30),
+    ];
+};
+
+/**
+ * Keys of the candidates that really cross a-b.
+ */
+const crossing = (index, links, a, b) => [...index.query(a, b)]
+    .filter(key => linksIntersect(a, b, links.get(key).a, links.get(key).b))
+    .sort();
+
+const assertSameCrossings = (grid, linear, links, queries) => {
+    let crossings = 0;
+    queries.forEach(({ key, a, b }) => {
+        const expected = crossing(linear, links, a, b);
+        assert.deepStrictEqual(crossing(grid, links, a, b), expected, key);
+        crossings += expected.length;
+    });
+    // The links are dense enough to cross a lot
+    assert.ok(crossings > 100, `only ${crossings} crossings`);
+};
+
+test('the grid finds every crossing link that a scan finds', () => {
+    const stored = createLinks(1);
+    const links = new Map(stored.map(link => [link.key, link]));
+    const queries = createLinks(2);
+
+    // Every link in cells, long links in the list of large links, and coarse cells
+    [{ cellSize: 1, maxCells: 100000 }, { cellSize: 1, maxCells: 64 }, { cellSize: 10, maxCells: 256 }].forEach(options => {
+        const grid = new LinkGrid(options);
+        const linear = new LinearLinkIndex();
+        stored.forEach(({ key, a, b }) => {
+            grid.insert(key, a, b);
+            linear.insert(key, a, b);
+        });
+        assert.strictEqual(grid.size, linear.size);
+        assertSameCrossings(grid, linear, links, queries);
+    });
+});
+
+test('removed links are no candidates', () => {
+    const stored = createLinks(3);
+    const links = new Map(stored.map(link => [link.key, link]));
+    const grid = new LinkGrid({ cellSize: 1, maxCells: 100000 });
+    const linear = new LinearLinkIndex();
+    stored.forEach(({ key, a, b }) => {
+        grid.insert(key, a, b);
+        linear.insert(key, a, b);
+    });
+
+    const removed = stored.filter((_, i) => i % 2 === 0);
+    removed.forEach(({ key }) => {
+        assert.strictEqual(grid.remove(key), true);
+        assert.strictEqual(linear.remove(key), true);
+    });
+    assert.strictEqual(grid.remove(removed[0].key), false);
+    assert.strictEqual(grid.size, stored.length - removed.length);
+
+    const queries = createLinks(4);
+    queries.forEach(({ a, b }) => removed.forEach(({ key }) => assert.ok(!grid.query(a, b).has(key), key)));
+    assertSameCrossings(grid, linear, links, queries);
+
+    // Inserting a key again moves the link
+    const moved = links.get('city1');
+    grid.insert(moved.key, { lat: -40, lng: -60 }, { lat: -40.5, lng: -60.5 });
+    assert.strictEqual(grid.size, stored.length - removed.length);
+    assert.ok(!grid.query(moved.a, moved.b).has(moved.key));
+    assert.ok(grid.query({ lat: -40.2, lng: -60.4 }, { lat: -40.3, lng: -60.1 }).has(moved.key));
+
+    grid.clear();
+    assert.deepStrictEqual([grid.size, grid.query(moved.a, moved.b).size], [0, 0]);
+});